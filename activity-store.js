@@ -0,0 +1,286 @@
+// IndexedDB activity store for COROS Activity Calendar extension
+// Runs in the service worker (extension origin); content scripts reach it through CorosStorage messages
+
+self.CorosActivityStore = (function () {
+    'use strict';
+
+    const DB_CONFIG = {
+        name: 'coros-activity-calendar',
+        version: 1,
+        legacyPrefix: 'coros_activities_' // chrome.storage.local month blobs written before the IndexedDB store
+    };
+
+    // Object stores: one record per activity, plus one per stored month (timestamp, size, sync cursor and checksum)
+    const STORES = {
+        activities: 'activities', // { labelId, startTime (ms), code, monthKey, activity }
+        months: 'months' // { monthKey, timestamp, count, size, cursor, checksum }; cursor is the newest activity when synced
+    };
+
+    let dbPromise = null;
+
+    /**
+     * Open the database, creating it and importing legacy month blobs on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_CONFIG.name, DB_CONFIG.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const activities = db.createObjectStore(STORES.activities, { keyPath: 'labelId' });
+                    activities.createIndex('startTime', 'startTime');
+                    activities.createIndex('code', 'code');
+                    activities.createIndex('monthKey', 'monthKey');
+                    db.createObjectStore(STORES.months, { keyPath: 'monthKey' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async db => {
+                await migrateMonthBlobs(db);
+                return db;
+            }).catch(error => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Replace the stored activities of a month
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     * @param {Array} activities - Activities from CorosAPI
+     * @param {Object} [sync] - From CorosStorage: { cursor, checksum }; cursor is the newest activity,
+     *   { startTime (ms), labelId }, where CorosAPI.syncMonth resumes, checksum changes with the activities
+     * @param {number} [timestamp] - When they were fetched (defaults to now)
+     * @returns {Promise<number>} Number of activities stored
+     */
+    async function putMonth(monthKey, activities, sync = {}, timestamp = Date.now()) {
+        return writeMonth(await openDatabase(), monthKey, activities, sync, timestamp);
+    }
+
+    /**
+     * Get the stored activities of a month
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     * @returns {Promise<Object|null>} { activities, timestamp }, or null when the month was never stored
+     */
+    async function getMonth(monthKey) {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.activities, STORES.months], 'readonly');
+        const month = await promisify(tx.objectStore(STORES.months).get(monthKey));
+        if (!month) {
+            return null;
+        }
+
+        const records = await promisify(tx.objectStore(STORES.activities).index('monthKey').getAll(monthKey));
+        return { activities: sortByStartTime(records).map(record => record.activity), timestamp: month.timestamp };
+    }
+
+    /**
+     * Stored month record, without its activities
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     * @returns {Promise<Object|null>} { monthKey, timestamp, count, size, cursor, checksum }, or null when the month was never stored
+     */
+    async function getMonthInfo(monthKey) {
+        const db = await openDatabase();
+        const month = await promisify(db.transaction(STORES.months, 'readonly').objectStore(STORES.months).get(monthKey));
+        return month || null;
+    }
+
+    /**
+     * Remove a month and its activities
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     */
+    async function removeMonth(monthKey) {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.activities, STORES.months], 'readwrite');
+        await deleteMonthActivities(tx.objectStore(STORES.activities), monthKey);
+        tx.objectStore(STORES.months).delete(monthKey);
+        await transactionDone(tx);
+    }
+
+    /**
+     * Stored months
+     * @returns {Promise<Array>} { monthKey, timestamp, count, size, cursor, checksum } sorted by month
+     */
+    async function getMonths() {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.months, 'readonly');
+        return promisify(tx.objectStore(STORES.months).getAll());
+    }
+
+    /**
+     * Remove every stored activity and month
+     */
+    async function clear() {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.activities, STORES.months], 'readwrite');
+        tx.objectStore(STORES.activities).clear();
+        tx.objectStore(STORES.months).clear();
+        await transactionDone(tx);
+    }
+
+    /**
+     * Query stored activities by start time and optionally sport code
+     * @param {Object} [query]
+     * @param {number} [query.start] - Earliest start time (ms since epoch, inclusive)
+     * @param {number} [query.end] - Latest start time (ms since epoch, inclusive)
+     * @param {number} [query.code] - COROS sport code
+     * @returns {Promise<Array>} Activities sorted by start time
+     */
+    async function query({ start, end, code } = {}) {
+        const db = await openDatabase();
+        const store = db.transaction(STORES.activities, 'readonly').objectStore(STORES.activities);
+        const inRange = record =>
+            (start === undefined || record.startTime >= start) && (end === undefined || record.startTime <= end);
+
+        let records;
+        if (code !== undefined && code !== null) {
+            records = (await promisify(store.index('code').getAll(code))).filter(inRange);
+        } else {
+            records = await promisify(store.index('startTime').getAll(toKeyRange(start, end)));
+        }
+        return sortByStartTime(records).map(record => record.activity);
+    }
+
+    /**
+     * Get one activity by its COROS labelId
+     * @param {string} labelId - Activity id
+     * @returns {Promise<Object|null>}
+     */
+    async function getActivity(labelId) {
+        const db = await openDatabase();
+        const record = await promisify(db.transaction(STORES.activities, 'readonly')
+            .objectStore(STORES.activities).get(String(labelId)));
+        return record ? record.activity : null;
+    }
+
+    /**
+     * Storage usage from the month records (sizes are measured once, when a month is written)
+     * @returns {Promise<Object>} { totalMonths, totalActivities, totalSize, averageSize, months }
+     */
+    async function getStats() {
+        const months = await getMonths();
+        const totalSize = months.reduce((sum, month) => sum + month.size, 0);
+        return {
+            totalMonths: months.length,
+            totalActivities: months.reduce((sum, month) => sum + month.count, 0),
+            totalSize: totalSize,
+            averageSize: totalSize / months.length || 0,
+            months: months.map(month => ({ month: month.monthKey, activities: month.count, size: month.size }))
+        };
+    }
+
+    // Write a month in one transaction: activities no longer returned by COROS are dropped
+    async function writeMonth(db, monthKey, activities, sync, timestamp) {
+        const tx = db.transaction([STORES.activities, STORES.months], 'readwrite');
+        const activityStore = tx.objectStore(STORES.activities);
+
+        await deleteMonthActivities(activityStore, monthKey);
+        activities.forEach(activity => activityStore.put(toRecord(activity, monthKey)));
+        tx.objectStore(STORES.months).put({
+            monthKey: monthKey,
+            timestamp: timestamp,
+            count: activities.length,
+            size: JSON.stringify(activities).length,
+            cursor: sync.cursor || null,
+            checksum: sync.checksum || null
+        });
+
+        await transactionDone(tx);
+        return activities.length;
+    }
+
+    // Import chrome.storage.local month blobs into the store, then remove them. They get no cursor or checksum,
+    // so their first sync fetches the whole month.
+    async function migrateMonthBlobs(db) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+            return;
+        }
+
+        try {
+            const items = await chrome.storage.local.get(null);
+            const keys = Object.keys(items).filter(key => key.startsWith(DB_CONFIG.legacyPrefix));
+
+            for (const key of keys) {
+                const blob = items[key];
+                if (blob && Array.isArray(blob.activities)) {
+                    await writeMonth(db, key.slice(DB_CONFIG.legacyPrefix.length), blob.activities, {}, blob.timestamp || Date.now());
+                }
+            }
+
+            if (keys.length > 0) {
+                await chrome.storage.local.remove(keys);
+                console.log(`Migrated ${keys.length} cached months to IndexedDB`);
+            }
+        } catch (error) {
+            console.error('Error migrating cached months:', error);
+        }
+    }
+
+    function toRecord(activity, monthKey) {
+        const code = parseInt(activity.code, 10);
+        return {
+            labelId: String(activity.id),
+            startTime: new Date(activity.startTime || activity.date).getTime() || 0,
+            code: isNaN(code) ? null : code,
+            monthKey: monthKey,
+            activity: activity
+        };
+    }
+
+    function deleteMonthActivities(activityStore, monthKey) {
+        return promisify(activityStore.index('monthKey').getAllKeys(monthKey)).then(keys => {
+            keys.forEach(key => activityStore.delete(key));
+        });
+    }
+
+    function toKeyRange(start, end) {
+        if (start !== undefined && end !== undefined) {
+            return IDBKeyRange.bound(start, end);
+        } else if (start !== undefined) {
+            return IDBKeyRange.lowerBound(start);
+        } else if (end !== undefined) {
+            return IDBKeyRange.upperBound(end);
+        }
+        return undefined;
+    }
+
+    function sortByStartTime(records) {
+        return records.sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * IndexedDB wrapper functions
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Public API
+    return {
+        putMonth: putMonth,
+        getMonth: getMonth,
+        getMonthInfo: getMonthInfo,
+        removeMonth: removeMonth,
+        getMonths: getMonths,
+        clear: clear,
+        query: query,
+        getActivity: getActivity,
+        getStats: getStats
+    };
+
+})();
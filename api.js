@@ -1,6 +1,7 @@
 // API integration for COROS Activity Calendar extension
+// Runs in the COROS page (content scripts) and in the service worker, which syncs with the token a page stored
 
-window.CorosAPI = (function () {
+self.CorosAPI = (function () {
     'use strict';
 
     // API configuration
@@ -8,12 +9,19 @@ window.CorosAPI = (function () {
         baseUrl: 'https://teamapi.coros.com',
         timeout: 5000,
         retryAttempts: 3,
-        retryDelay: 1000
+        retryDelay: 1000,
+        pageSize: 100,
+        maxPages: 50, // Safety cap for /activity/query pagination
+        historyStart: new Date(2000, 0, 1), // Earliest day asked for when counting the whole history
+        authSettingKey: 'corosAuth' // Token saved by COROS tabs for the service worker
     };
 
     // Request cache to prevent duplicate API calls
     const requestCache = new Map();
 
+    // Last token saved for the service worker, to write it only when it changes
+    let savedToken = null;
+
     /**
      * Fetch activities for a specific month
      * @param {number} year - Year (e.g., 2024)
@@ -45,7 +53,7 @@ window.CorosAPI = (function () {
             const endDate = new Date(year, month + 1, 0, 23, 59, 59);
 
             // Fetch activities from COROS API
-            const activities = await fetchActivitiesFromAPI(startDate, endDate, authData);
+            const { activities } = await fetchActivitiesFromAPI(startDate, endDate, authData);
 
             // Process and normalize activity data
             const processedActivities = processActivityData(activities);
@@ -64,10 +72,218 @@ window.CorosAPI = (function () {
         }
     }
 
+    /**
+     * Fetch activities for an arbitrary date range
+     * The range is split into calendar months; past months are served from CorosStorage
+     * when cached, the current month and cache misses are fetched and stored.
+     * @param {Date} startDate - First day of the range (inclusive)
+     * @param {Date} endDate - Last day of the range (inclusive)
+     * @param {Object} [options]
+     * @param {boolean} [options.forceRefresh=false] - Ignore cached months
+     * @returns {Promise<Array>} Activities in the range, sorted by start time
+     */
+    async function fetchActivitiesForRange(startDate, endDate, options = {}) {
+        const { forceRefresh = false } = options;
+        const rangeStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+        const rangeEnd = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate(), 23, 59, 59, 999);
+
+        if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeStart > rangeEnd) {
+            throw new Error('Invalid date range');
+        }
+
+        const merged = new Map();
+        for (const { year, month } of getMonthsInRange(rangeStart, rangeEnd)) {
+            const monthActivities = await getMonthActivities(year, month, forceRefresh);
+            monthActivities.forEach(activity => {
+                if (isActivityInDateRange(activity, rangeStart, rangeEnd)) {
+                    merged.set(String(activity.id), activity);
+                }
+            });
+        }
+
+        return sortByStartTime(Array.from(merged.values()));
+    }
+
+    /**
+     * Get one month of activities, preferring CorosStorage for past months
+     */
+    async function getMonthActivities(year, month, forceRefresh) {
+        const monthKey = getMonthKey(year, month);
+        const now = new Date();
+        const isCurrentOrFuture = year > now.getFullYear() ||
+            (year === now.getFullYear() && month >= now.getMonth());
+        const storage = self.CorosStorage;
+
+        if (!forceRefresh && !isCurrentOrFuture && storage) {
+            const cached = await storage.getActivities(monthKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        if (!forceRefresh && storage) {
+            return (await syncMonth(year, month)).activities;
+        }
+
+        return storage ? refreshMonth(year, month) : fetchActivitiesForMonth(year, month);
+    }
+
+    /**
+     * Bring a stored month up to date and report what changed.
+     * Only activities from the day of the newest synced one (the cursor kept with the month in CorosStorage)
+     * onwards are fetched; those replace the stored ones of that window, catching new activities and edits
+     * there. A one-item query gives the month's activity count, and when the merged month does not match it
+     * (an older activity was deleted or moved) the whole month is fetched instead, as it is when nothing
+     * is stored yet. The result is saved to CorosStorage, which also records when the month was synced.
+     * @param {number} year - Year (e.g., 2024)
+     * @param {number} month - Month (0-11, where 0 is January)
+     * @returns {Promise<Object>} { activities, added, updated, removed, fullRefetch }
+     */
+    async function syncMonth(year, month) {
+        const monthKey = getMonthKey(year, month);
+        const storage = self.CorosStorage;
+
+        try {
+            const stored = storage ? await storage.getActivities(monthKey) : null;
+            const cursor = stored ? await storage.getSyncCursor(monthKey) : null;
+
+            let activities = cursor ? await fetchSinceCursor(year, month, stored, cursor) : null;
+            const fullRefetch = !activities;
+            if (fullRefetch) {
+                activities = await refreshMonth(year, month);
+            } else {
+                await storage.saveActivities(monthKey, activities);
+                requestCache.set(`activities-${year}-${month}`, { data: activities, timestamp: Date.now() });
+            }
+
+            const changes = diffActivities(stored || [], activities);
+            console.log(`Synced ${monthKey}${fullRefetch ? ' (whole month)' : ''}: ${changes.added} new, ${changes.updated} updated, ${changes.removed} removed`);
+            return { ...changes, activities: activities, fullRefetch: fullRefetch };
+
+        } catch (error) {
+            console.error('Error syncing month:', error);
+            throw new Error(`Failed to sync activities: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch a whole month again and store it in place of the stored copy
+     * Fails when the COROS API cannot be reached: activities scraped from the page are not a complete
+     * month, and stored months are kept permanently.
+     * @param {number} year - Year (e.g., 2024)
+     * @param {number} month - Month (0-11, where 0 is January)
+     * @returns {Promise<Array>} Activities sorted by start time
+     */
+    async function refreshMonth(year, month) {
+        const authData = await getAuthenticationData();
+        if (!authData.isAuthenticated) {
+            throw new Error('Not authenticated with COROS. Please log in to training.coros.com first.');
+        }
+
+        const startDate = new Date(year, month, 1);
+        const endDate = new Date(year, month + 1, 0, 23, 59, 59);
+        const result = await fetchActivitiesFromAPI(startDate, endDate, authData);
+        if (result.pageCount === 0) {
+            throw new Error('COROS API request failed');
+        }
+
+        const activities = sortByStartTime(processActivityData(result.activities));
+        if (self.CorosStorage) {
+            await self.CorosStorage.saveActivities(getMonthKey(year, month), activities);
+        }
+        requestCache.set(`activities-${year}-${month}`, { data: activities, timestamp: Date.now() });
+        return activities;
+    }
+
+    /**
+     * Stored month merged with the activities COROS has from the cursor's day to the end of the month
+     * @param {Object} cursor - Newest synced activity: { startTime (ms), labelId }
+     * @returns {Promise<Array|null>} Activities sorted by start time, or null when the month has to be
+     *   fetched whole (COROS reports no count, or the merged month does not match it)
+     */
+    async function fetchSinceCursor(year, month, stored, cursor) {
+        const monthKey = getMonthKey(year, month);
+        const authData = await getAuthenticationData();
+        if (!authData.isAuthenticated) {
+            throw new Error('Not authenticated with COROS. Please log in to training.coros.com first.');
+        }
+
+        const monthStart = new Date(year, month, 1);
+        const monthEnd = new Date(year, month + 1, 0, 23, 59, 59);
+        const countPage = await fetchActivityPage(formatDateForAPI(monthStart), formatDateForAPI(monthEnd), 1, authData, 1);
+        if (!countPage || !countPage.countReported) {
+            return null;
+        }
+
+        // COROS queries whole days, so the window starts at midnight of the cursor's day
+        const newest = new Date(cursor.startTime);
+        const windowStart = newest.getMonth() === month && newest.getFullYear() === year
+            ? new Date(newest.getFullYear(), newest.getMonth(), newest.getDate())
+            : monthStart;
+        const result = await fetchActivitiesFromAPI(windowStart, monthEnd, authData);
+        if (result.pageCount === 0) {
+            throw new Error('COROS API request failed');
+        }
+
+        const merged = new Map();
+        stored.filter(activity => new Date(activity.startTime) < windowStart)
+            .forEach(activity => merged.set(String(activity.id), activity));
+        processActivityData(result.activities).forEach(activity => merged.set(String(activity.id), activity));
+
+        if (merged.size !== countPage.totalCount) {
+            console.log(`${monthKey} has ${countPage.totalCount} activities on COROS but ${merged.size} after syncing from ${formatDateForAPI(windowStart)}, refetching the month`);
+            return null;
+        }
+        return sortByStartTime(Array.from(merged.values()));
+    }
+
+    /**
+     * Number of activities COROS reports for a date range, without downloading them
+     * @param {Date} [startDate] - First day (defaults to the start of the history)
+     * @param {Date} endDate - Last day
+     * @returns {Promise<number|null>} Activity count, or null when COROS does not report one
+     */
+    async function countActivities(startDate = API_CONFIG.historyStart, endDate = new Date()) {
+        const authData = await getAuthenticationData();
+        if (!authData.isAuthenticated) {
+            throw new Error('Not authenticated with COROS. Please log in to training.coros.com first.');
+        }
+
+        const page = await fetchActivityPage(formatDateForAPI(startDate), formatDateForAPI(endDate), 1, authData, 1);
+        return page && page.countReported ? page.totalCount : null;
+    }
+
+    /**
+     * Count added, changed and removed activities between two lists (matched by labelId)
+     * @returns {Object} { added, updated, removed }
+     */
+    function diffActivities(before, after) {
+        const previous = new Map(before.map(activity => [String(activity.id), JSON.stringify(activity)]));
+        const changes = { added: 0, updated: 0, removed: 0 };
+
+        after.forEach(activity => {
+            const id = String(activity.id);
+            if (!previous.has(id)) {
+                changes.added++;
+            } else if (previous.get(id) !== JSON.stringify(activity)) {
+                changes.updated++;
+            }
+            previous.delete(id);
+        });
+        changes.removed = previous.size;
+
+        return changes;
+    }
+
     /**
      * Get authentication data from current COROS session
+     * In the service worker there is no page to read it from, so the token last saved by a COROS tab is used.
      */
     async function getAuthenticationData() {
+        if (typeof document === 'undefined') {
+            return getStoredAuthenticationData();
+        }
+
         try {
             // Check if user is logged in by looking for COROS session cookies/tokens
             const cookies = document.cookie;
@@ -116,6 +332,8 @@ window.CorosAPI = (function () {
             const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content ||
                 document.querySelector('input[name="_token"]')?.value;
 
+            await saveAuthenticationData(accessToken, userId);
+
             return {
                 isAuthenticated: hasSessionCookie || userId || accessToken,
                 userId: userId,
@@ -134,51 +352,150 @@ window.CorosAPI = (function () {
     }
 
     /**
-     * Fetch activities from COROS API
+     * Token saved by a COROS tab (service worker)
+     */
+    async function getStoredAuthenticationData() {
+        const stored = self.CorosStorage ? await self.CorosStorage.getSetting(API_CONFIG.authSettingKey, null) : null;
+        return {
+            isAuthenticated: !!(stored && stored.accessToken),
+            userId: stored ? stored.userId : null,
+            accessToken: stored ? stored.accessToken : null,
+            sessionCookies: false
+        };
+    }
+
+    /**
+     * Save the page's token for background sync in the service worker
+     */
+    async function saveAuthenticationData(accessToken, userId) {
+        if (!accessToken || accessToken === savedToken || !self.CorosStorage) {
+            return;
+        }
+        savedToken = accessToken;
+        await self.CorosStorage.saveSetting(API_CONFIG.authSettingKey, {
+            accessToken: accessToken,
+            userId: userId,
+            savedAt: Date.now()
+        });
+    }
+
+    /**
+     * Fetch activities from COROS API, walking every page of /activity/query
+     * Fails rather than return a partial list when a page is missing or the range needs more than maxPages.
+     * @returns {Promise<Object>} { activities, reportedCount, pageCount }; pageCount is 0 when scraped from the page
      */
     async function fetchActivitiesFromAPI(startDate, endDate, authData) {
-        try {
-            // Format dates for COROS API (YYYYMMDD format)
-            const startDay = formatDateForAPI(startDate);
-            const endDay = formatDateForAPI(endDate);
-
-            // Use the actual COROS API endpoint
-            const endpoint = '/activity/query';
-            const params = new URLSearchParams({
-                size: '100',
-                pageNumber: '1',
-                modeList: '',
-                startDay: startDay,
-                endDay: endDay
-            });
+        // Format dates for COROS API (YYYYMMDD format)
+        const startDay = formatDateForAPI(startDate);
+        const endDay = formatDateForAPI(endDate);
 
-            const response = await makeAuthenticatedRequest(
-                `${API_CONFIG.baseUrl}${endpoint}?${params}`,
-                authData
-            );
-
-            if (response.ok) {
-                const data = await response.json();
-
-                // Handle COROS API response format
-                if (data.apiCode === 'C33BB719' && data.data && Array.isArray(data.data.dataList)) {
-                    return data.data.dataList;
-                } else if (data.data && Array.isArray(data.data.dataList)) {
-                    return data.data.dataList;
-                } else if (Array.isArray(data.dataList)) {
-                    return data.dataList;
-                } else if (Array.isArray(data)) {
-                    return data;
-                }
-            } else {
-                console.warn(`COROS API returned status ${response.status}`);
-            }
+        let firstPage;
+        try {
+            firstPage = await fetchActivityPage(startDay, endDay, 1, authData);
         } catch (error) {
             console.warn(`COROS API request failed:`, error);
         }
 
-        // If API calls fail, try to scrape data from the page
-        return scrapeActivitiesFromPage(startDate, endDate);
+        // If API calls fail, try to scrape data from the page (the service worker has none: an empty
+        // result would wipe the stored month, so fail instead)
+        if (!firstPage) {
+            if (typeof document === 'undefined') {
+                throw new Error('COROS API request failed');
+            }
+            const scraped = await scrapeActivitiesFromPage(startDate, endDate);
+            return { activities: scraped, reportedCount: scraped.length, pageCount: 0 };
+        }
+
+        const totalPages = firstPage.totalPages;
+        if (totalPages > API_CONFIG.maxPages) {
+            throw new Error(`Too many activities: COROS reports ${totalPages} pages, more than the ${API_CONFIG.maxPages} page limit`);
+        }
+
+        const pages = [firstPage];
+        for (let pageNumber = 2; pageNumber <= totalPages; pageNumber++) {
+            // A missing page would silently drop activities, so fail the whole fetch instead
+            const page = await fetchActivityPage(startDay, endDay, pageNumber, authData);
+            if (!page) {
+                throw new Error(`Incomplete activity list: page ${pageNumber} of ${totalPages} could not be loaded`);
+            }
+            pages.push(page);
+            if (page.list.length === 0) {
+                break;
+            }
+        }
+
+        const activities = mergeActivityPages(pages);
+        console.log(`Fetched ${activities.length} activities (${firstPage.totalCount} reported) from ${pages.length} page(s) for ${startDay}-${endDay}`);
+
+        return { activities: activities, reportedCount: firstPage.totalCount, pageCount: pages.length };
+    }
+
+    /**
+     * Fetch a single page of /activity/query
+     * @param {number} [size] - Page size (1 is enough to read the total count)
+     * @returns {Promise<Object|null>} { list, totalPages, totalCount, countReported } or null on an unusable response
+     */
+    async function fetchActivityPage(startDay, endDay, pageNumber, authData, size = API_CONFIG.pageSize) {
+        const endpoint = '/activity/query';
+        const params = new URLSearchParams({
+            size: String(size),
+            pageNumber: String(pageNumber),
+            modeList: '',
+            startDay: startDay,
+            endDay: endDay
+        });
+
+        const response = await makeAuthenticatedRequest(
+            `${API_CONFIG.baseUrl}${endpoint}?${params}`,
+            authData
+        );
+
+        if (!response.ok) {
+            console.warn(`COROS API returned status ${response.status}`);
+            return null;
+        }
+
+        const data = await response.json();
+
+        // Handle COROS API response format
+        let list = null;
+        let pageInfo = {};
+        if (data.data && Array.isArray(data.data.dataList)) {
+            list = data.data.dataList;
+            pageInfo = data.data;
+        } else if (Array.isArray(data.dataList)) {
+            list = data.dataList;
+            pageInfo = data;
+        } else if (Array.isArray(data)) {
+            list = data;
+        }
+
+        if (!list) {
+            return null;
+        }
+
+        const reportedCount = parseInt(pageInfo.count, 10);
+        const totalCount = reportedCount || list.length;
+        const totalPages = parseInt(pageInfo.totalPage, 10) ||
+            Math.max(1, Math.ceil(totalCount / size));
+
+        return { list, totalPages, totalCount, countReported: !isNaN(reportedCount) };
+    }
+
+    /**
+     * Merge activity pages, de-duplicating by COROS labelId
+     */
+    function mergeActivityPages(pages) {
+        const merged = new Map();
+
+        pages.forEach(page => {
+            page.list.forEach(activity => {
+                const key = activity.labelId || activity.id || `${activity.date}-${activity.startTime}-${activity.sportType}`;
+                merged.set(String(key), activity);
+            });
+        });
+
+        return Array.from(merged.values());
     }
 
     /**
@@ -400,23 +717,26 @@ window.CorosAPI = (function () {
      * Utility functions
      */
     function mapCorosSportType(sportType) {
-        const sportTypeMap = {
-            100: 'running',        // 跑步
-            101: 'track-1',        // 田徑
-            102: 'track-2',        // 田徑
-            103: 'track-3',        // 田徑
-            104: 'walking',        // 步行
-            200: 'cycling',        // 自行車
-            201: 'indoor_cycling', // 室內自行車
-            300: 'swimming',       // 泳池游泳
-            301: 'openwater',       // 開放水域
-            400: 'aerobic',         // 有氧
-            402: 'strength',       // 力量訓練
-            10000: 'triathlon',        // 鐵人三項
-            // Add more mappings as needed
-        };
+        const sport = self.CorosSports ? self.CorosSports.getSport(sportType) : null;
+        return sport ? sport.type : 'other';
+    }
 
-        return sportTypeMap[sportType] || 'other';
+    function getMonthKey(year, month) {
+        return `${year}-${String(month + 1).padStart(2, '0')}`;
+    }
+
+    function sortByStartTime(activities) {
+        return activities.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    }
+
+    function getMonthsInRange(startDate, endDate) {
+        const months = [];
+        const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+        while (cursor <= endDate) {
+            months.push({ year: cursor.getFullYear(), month: cursor.getMonth() });
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+        return months;
     }
 
     function formatDateForAPI(date) {
@@ -440,26 +760,6 @@ window.CorosAPI = (function () {
         return new Date(`${year}-${month}-${day}`).toISOString();
     }
 
-    function normalizeActivityType(type) {
-        if (!type) return 'other';
-
-        const normalized = type.toLowerCase().replace(/[_\s-]/g, '_');
-
-        const typeMapping = {
-            'run': 'running',
-            'bike': 'cycling',
-            'ride': 'cycling',
-            'swim': 'swimming',
-            'hike': 'hiking',
-            'walk': 'walking',
-            'weight_training': 'strength',
-            'strength_training': 'strength',
-            'gym': 'strength'
-        };
-
-        return typeMapping[normalized] || normalized;
-    }
-
     function parseDistanceText(text) {
         if (!text) return 0;
 
@@ -520,6 +820,10 @@ window.CorosAPI = (function () {
     // Public API
     return {
         fetchActivitiesForMonth: fetchActivitiesForMonth,
+        fetchActivitiesForRange: fetchActivitiesForRange,
+        syncMonth: syncMonth,
+        refreshMonth: refreshMonth,
+        countActivities: countActivities,
         getAuthenticationData: getAuthenticationData
     };
 
@@ -0,0 +1,246 @@
+// Full-history backfill for COROS Activity Calendar extension
+// Walks month by month from the current month back to the first activity and stores every month permanently.
+// The job lives in a setting, so the popup can start, stop and follow it while a COROS tab does the fetching,
+// and any COROS tab picks it up again after the one running it was closed.
+
+window.CorosBackfill = (function () {
+    'use strict';
+
+    const BACKFILL_CONFIG = {
+        settingKey: 'backfill',
+        monthDelay: 1500, // Pause after each fetched month, to go easy on the COROS API
+        staleAfter: 30 * 1000, // A running job whose tab has not reported for this long is taken over
+        claimDelay: 500, // Wait before checking that this tab won the claim on a job
+        maxEmptyMonths: 24, // Stop after this many empty months in a row
+        earliestYear: 2000
+    };
+
+    // Identifies this tab as the owner of the running job
+    const tabId = Math.random().toString(36).slice(2);
+    let isRunning = false;
+    let retryTimer = null;
+
+    /**
+     * Current job
+     * @returns {Promise<Object|null>} { status, nextMonth, monthsDone, activitiesFound, total, emptyMonths,
+     *   startedAt, finishedAt, owner, heartbeat, error }; status is 'running', 'stopped', 'done' or 'error'
+     */
+    function getState() {
+        return window.CorosStorage.getSetting(BACKFILL_CONFIG.settingKey, null);
+    }
+
+    /**
+     * Start a backfill from the current month. Months already stored are skipped, so starting again
+     * after it finished only fetches what is missing.
+     * @returns {Promise<Object>} New job
+     */
+    async function start() {
+        const state = {
+            status: 'running',
+            nextMonth: toMonthKey(new Date()),
+            monthsDone: 0,
+            activitiesFound: 0,
+            total: null,
+            emptyMonths: 0,
+            startedAt: Date.now(),
+            finishedAt: null,
+            owner: null,
+            heartbeat: 0,
+            error: null
+        };
+        await saveState(state);
+        return state;
+    }
+
+    /**
+     * Stop the running job after the month it is on. Starting again skips the months it already stored.
+     */
+    async function stop() {
+        const state = await getState();
+        if (state && state.status === 'running') {
+            await saveState({ ...state, status: 'stopped', owner: null });
+        }
+    }
+
+    /**
+     * Share of the history stored so far
+     * @param {Object} state - Job
+     * @returns {number|null} 0-1, or null when COROS did not report a total
+     */
+    function getProgress(state) {
+        if (!state) {
+            return null;
+        }
+        if (state.status === 'done') {
+            return 1;
+        }
+        return state.total ? Math.min(1, state.activitiesFound / state.total) : null;
+    }
+
+    /**
+     * A COROS tab is working on the job (otherwise a running job waits for one to be opened)
+     * @param {Object} state - Job
+     * @returns {boolean}
+     */
+    function isAttended(state) {
+        return !!state && state.status === 'running' && !!state.owner &&
+            Date.now() - state.heartbeat <= BACKFILL_CONFIG.staleAfter;
+    }
+
+    /**
+     * Call back whenever the job changes (started, a month stored, stopped, finished)
+     * @param {Function} callback - Receives the job
+     */
+    function onChange(callback) {
+        window.CorosStorage.onSettingChange(BACKFILL_CONFIG.settingKey, callback);
+    }
+
+    /**
+     * Run the job in this tab when it is running and no other tab is on it. COROS tabs call this on load
+     * (resuming after a closed tab) and on every change (a start from the popup).
+     */
+    async function resume() {
+        if (isRunning || !window.CorosAPI) {
+            return;
+        }
+
+        const state = await getState();
+        if (!state || state.status !== 'running') {
+            return;
+        }
+        if (!isUnclaimed(state)) {
+            // Another tab has it; look again once it would count as gone (closed or reloaded)
+            clearTimeout(retryTimer);
+            retryTimer = setTimeout(resume, BACKFILL_CONFIG.staleAfter);
+            return;
+        }
+
+        // Two tabs can claim at once; the last write wins and the other one backs off
+        isRunning = true;
+        try {
+            await saveState({ ...state, owner: tabId, heartbeat: Date.now() });
+            await sleep(BACKFILL_CONFIG.claimDelay);
+            const claimed = await getState();
+            if (claimed && claimed.status === 'running' && claimed.owner === tabId) {
+                await run(claimed);
+            }
+        } finally {
+            isRunning = false;
+        }
+    }
+
+    /**
+     * Keep this tab ready to run the job: resume it now and whenever it is started
+     */
+    function watch() {
+        onChange(() => resume());
+        resume();
+    }
+
+    // Store one month per pass. Every write goes through updateState, so a stop or a takeover ends the loop
+    // instead of being overwritten.
+    async function run(state) {
+        try {
+            if (state.total === null && state.monthsDone === 0) {
+                const total = await window.CorosAPI.countActivities().catch(() => null);
+                state = await updateState({ total: total });
+                if (!state) {
+                    return;
+                }
+                console.log(`Backfilling COROS history (${total === null ? 'unknown number of' : total} activities)`);
+            }
+
+            while (state) {
+                if (isFinished(state)) {
+                    await updateState({ status: 'done', owner: null, finishedAt: Date.now() });
+                    console.log(`Backfill done: ${state.activitiesFound} activities in ${state.monthsDone} months`);
+                    return;
+                }
+
+                const [year, month] = state.nextMonth.split('-').map(Number);
+                let activities = await window.CorosStorage.getActivities(state.nextMonth);
+                const isFetched = !activities;
+                if (isFetched) {
+                    // Fails when the COROS API cannot be reached instead of storing the page's partial list,
+                    // which would leave a permanent hole and count as an empty month
+                    activities = await window.CorosAPI.refreshMonth(year, month - 1);
+                }
+
+                state = await updateState(latest => ({
+                    nextMonth: toMonthKey(new Date(year, month - 2, 1)),
+                    monthsDone: latest.monthsDone + 1,
+                    activitiesFound: latest.activitiesFound + activities.length,
+                    emptyMonths: activities.length > 0 ? 0 : latest.emptyMonths + 1
+                }));
+
+                if (state && isFetched) {
+                    await sleep(BACKFILL_CONFIG.monthDelay);
+                }
+            }
+            console.log('Backfill stopped');
+        } catch (error) {
+            console.error('Backfill failed:', error);
+            await updateState({ status: 'error', owner: null, error: error.message });
+        }
+    }
+
+    /**
+     * Merge changes into the job as stored right now, only while it is still running in this tab
+     * @param {Object|Function} changes - Fields to set, or a function of the latest job returning them
+     * @returns {Promise<Object|null>} Updated job, or null when it was stopped or taken over
+     */
+    async function updateState(changes) {
+        const latest = await getState();
+        if (!latest || latest.status !== 'running' || latest.owner !== tabId) {
+            return null;
+        }
+        const state = {
+            ...latest,
+            ...(typeof changes === 'function' ? changes(latest) : changes),
+            heartbeat: Date.now()
+        };
+        await saveState(state);
+        return state;
+    }
+
+    // Every activity COROS reported is stored, or nothing for a long stretch. The empty-month cutoff also
+    // applies with a total: deleted or uncounted activities can keep the count from ever being reached.
+    function isFinished(state) {
+        if (parseInt(state.nextMonth, 10) < BACKFILL_CONFIG.earliestYear) {
+            return true;
+        }
+        if (state.total !== null && state.activitiesFound >= state.total) {
+            return true;
+        }
+        return state.emptyMonths >= BACKFILL_CONFIG.maxEmptyMonths;
+    }
+
+    function isUnclaimed(state) {
+        return !state.owner || state.owner === tabId || Date.now() - state.heartbeat > BACKFILL_CONFIG.staleAfter;
+    }
+
+    function saveState(state) {
+        return window.CorosStorage.saveSetting(BACKFILL_CONFIG.settingKey, state);
+    }
+
+    function toMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Public API
+    return {
+        getState: getState,
+        start: start,
+        stop: stop,
+        getProgress: getProgress,
+        isAttended: isAttended,
+        onChange: onChange,
+        resume: resume,
+        watch: watch
+    };
+
+})();
@@ -1,7 +1,19 @@
+/* eslint-env serviceworker */
 // Background service worker for COROS Activity Calendar extension
 
+// IndexedDB activity store (extension origin, shared by every COROS tab), plus what background sync needs
+importScripts('activity-store.js', 'storage.js', 'sport-registry.js', 'api.js');
+
+// Background sync: the current month is kept fresh with the token saved by COROS tabs
+const SYNC_CONFIG = {
+    alarmName: 'syncActivities',
+    periodInMinutes: 30,
+    tabUrl: 'https://t.coros.com/*'
+};
+
 // Extension installation and update handling
 chrome.runtime.onInstalled.addListener((details) => {
+    scheduleSync();
     if (details.reason === 'install') {
         console.log('COROS Activity Calendar extension installed');
     } else if (details.reason === 'update') {
@@ -16,7 +28,7 @@ chrome.action.onClicked.addListener((tab) => {
         // Inject the content script if not already injected
         chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ['storage.js', 'api.js', 'calendar.js', 'statistics.js', 'content.js']
+            files: ['storage.js', 'preferences.js', 'i18n.js', 'theme.js', 'sport-registry.js', 'api.js', 'backfill.js', 'goals.js', 'records.js', 'sport-filter.js', 'sport-groups.js', 'calendar.js', 'statistics.js', 'training-load.js', 'export.js', 'content.js']
         }).catch((error) => {
             console.warn('Content script already injected or failed to inject:', error);
         });
@@ -41,6 +53,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // Log errors from content scripts
         console.error('Content script error:', request.error);
         sendResponse({ success: true });
+    } else if (request.action === 'activityStore') {
+        // Activity store calls from CorosStorage in content scripts
+        const method = self.CorosActivityStore[request.method];
+        if (typeof method !== 'function') {
+            sendResponse({ success: false, error: `Unknown activity store method: ${request.method}` });
+        } else {
+            method(...(request.args || []))
+                .then(result => sendResponse({ success: true, result: result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+        }
     }
 
     return true; // Keep message channel open for async responses
@@ -67,40 +89,60 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
                 // Extension not initialized, inject scripts
                 chrome.scripting.executeScript({
                     target: { tabId: tabId },
-                    files: ['storage.js', 'api.js', 'calendar.js', 'statistics.js', 'content.js']
+                    files: ['storage.js', 'preferences.js', 'i18n.js', 'theme.js', 'sport-registry.js', 'api.js', 'backfill.js', 'goals.js', 'records.js', 'sport-filter.js', 'sport-groups.js', 'calendar.js', 'statistics.js', 'training-load.js', 'export.js', 'content.js']
                 }).catch(console.warn);
             }
         }).catch(console.warn);
     }
 });
 
-// Clean up storage periodically (remove old cached data)
-// chrome.alarms.create('cleanupStorage', {
-//     delayInMinutes: 60,
-//     periodInMinutes: 60 * 24 // Daily cleanup
-// });
+// Alarms survive service worker restarts; only create the sync alarm when it is missing
+function scheduleSync() {
+    chrome.alarms.get(SYNC_CONFIG.alarmName, (alarm) => {
+        if (!alarm) {
+            chrome.alarms.create(SYNC_CONFIG.alarmName, {
+                delayInMinutes: 1,
+                periodInMinutes: SYNC_CONFIG.periodInMinutes
+            });
+        }
+    });
+}
+
+chrome.runtime.onStartup.addListener(scheduleSync);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SYNC_CONFIG.alarmName) {
+        syncActivities();
+    }
+});
 
-// chrome.alarms.onAlarm.addListener((alarm) => {
-//     if (alarm.name === 'cleanupStorage') {
-//         chrome.storage.local.get(null, (items) => {
-//             const cutoffDate = new Date();
-//             cutoffDate.setMonth(cutoffDate.getMonth() - 6); // Keep 6 months of data
+// Sync the current month and tell open COROS tabs when anything changed
+async function syncActivities() {
+    try {
+        const authData = await self.CorosAPI.getAuthenticationData();
+        if (!authData.isAuthenticated) {
+            console.log('Background sync skipped: open t.coros.com once to sign in');
+            return;
+        }
 
-//             const keysToRemove = [];
-//             for (const key in items) {
-//                 if (key.startsWith('coros_activities_')) {
-//                     const dateStr = key.replace('coros_activities_', '');
-//                     const itemDate = new Date(dateStr);
-//                     if (itemDate < cutoffDate) {
-//                         keysToRemove.push(key);
-//                     }
-//                 }
-//             }
+        const now = new Date();
+        const result = await self.CorosAPI.syncMonth(now.getFullYear(), now.getMonth());
+        if (result.added + result.updated + result.removed === 0) {
+            return;
+        }
 
-//             if (keysToRemove.length > 0) {
-//                 chrome.storage.local.remove(keysToRemove);
-//                 console.log(`Cleaned up ${keysToRemove.length} old activity cache entries`);
-//             }
-//         });
-//     }
-// });
\ No newline at end of file
+        const tabs = await chrome.tabs.query({ url: SYNC_CONFIG.tabUrl });
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, {
+                action: 'activitiesSynced',
+                year: now.getFullYear(),
+                month: now.getMonth(),
+                changes: { added: result.added, updated: result.updated, removed: result.removed }
+            }).catch(() => {
+                // Tab without the content script (still loading or not a calendar page)
+            });
+        });
+    } catch (error) {
+        console.warn('Background sync failed:', error.message);
+    }
+}
@@ -3,56 +3,75 @@
 window.CorosCalendar = (function () {
     'use strict';
 
-    // Calendar configuration
-    const MONTHS = [
-        'January', 'February', 'March', 'April', 'May', 'June',
-        'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-
-    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-
-    // Sport type configurations
-    const SPORT_TYPES = {
-        'running': { icon: '🏃', color: '#FF6B6B', name: 'Running' },
-        'cycling': { icon: '🚴', color: '#4ECDC4', name: 'Cycling' },
-        'swimming': { icon: '🏊', color: '#45B7D1', name: 'Swimming' },
-        'hiking': { icon: '🥾', color: '#96CEB4', name: 'Hiking' },
-        'walking': { icon: '🚶', color: '#FECA57', name: 'Walking' },
-        'strength': { icon: '💪', color: '#FF9FF3', name: 'Strength Training' },
-        'yoga': { icon: '🧘', color: '#A8E6CF', name: 'Yoga' },
-        'indoor_cycling': { icon: '🏋️', color: '#6C7CE0', name: 'Indoor Cycling' },
-        'treadmill': { icon: '🏃', color: '#FF8A80', name: 'Treadmill' },
-        'elliptical': { icon: '⚡', color: '#81C784', name: 'Elliptical' },
-        'rowing': { icon: '🚣', color: '#4DB6AC', name: 'Rowing' },
-        'skiing': { icon: '⛷️', color: '#E1F5FE', name: 'Skiing' },
-        'snowboarding': { icon: '🏂', color: '#B3E5FC', name: 'Snowboarding' },
-        'other': { icon: '⚡', color: '#95A5A6', name: 'Other' }
+    const { escapeHTML, formatDateKey, parseTimeToSeconds } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    // Metrics available for the year heatmap
+    const HEATMAP_METRICS = {
+        duration: { labelKey: 'metricDuration', format: value => formatDurationForCalendar(value) },
+        distance: { labelKey: 'metricDistance', format: value => formatDistanceForCalendar(value) },
+        trainingLoad: { labelKey: 'metricTrainingLoad', format: value => String(Math.round(value)) }
     };
 
+    // Activities of the last rendered calendar by id and by day, for the tooltip and day drawer
+    let renderedActivities = {};
+    let renderedActivitiesByDate = {};
+
+    // Element focused before the day drawer opened, focused again when it closes
+    let drawerReturnFocus = null;
+
     /**
      * Render calendar view
      * @param {HTMLElement} container - Container element to render calendar
      * @param {Date} date - Current date for calendar
      * @param {Array} activities - Array of activity data
-     * @param {string} viewMode - 'month' or 'week'
+     * @param {string} viewMode - 'month', 'week' or 'year'
+     * @param {Object} [options] - { metric, sport } for the year view (sport: 'all', 'other' or a sport group id),
+     *   goalProgress for summary cards,
+     *   records from CorosRecords for day cell badges, sportFilter from CorosSportFilter,
+     *   sportGroups from CorosSportGroups for the group summary cards and weekly totals,
+     *   compareWeeks to show the weekly totals change against the previous week (month view),
+     *   weekActivities with the activities of every month view row and the week before the first one, so the
+     *   weekly totals of rows reaching into the neighbouring months count whole weeks (month activities otherwise)
      */
-    function render(container, date, activities, viewMode = 'month') {
+    function render(container, date, activities, viewMode = 'month', options = {}) {
         if (!container) {
             console.error('Calendar container not provided');
             return;
         }
 
         try {
+            const sportGroups = window.CorosSportGroups
+                ? options.sportGroups || window.CorosSportGroups.DEFAULT_GROUPS
+                : [];
+            if (window.CorosSportFilter && options.sportFilter) {
+                activities = window.CorosSportFilter.apply(activities, options.sportFilter, sportGroups);
+            }
+
             // Calculate summary stats for cards (reuse logic from statistics.js)
             const stats = calculateStatisticsForCalendar(activities, date);
-            const groupSummary = groupSummarizeByCodeForCalendar(activities);
-            const summaryCardsHTML = generateSummaryCardsForCalendar(stats.overall, groupSummary);
+            const groupSummary = sportGroups.length > 0 ? window.CorosSportGroups.summarize(activities, sportGroups) : {};
+            const summaryCardsHTML = generateSummaryCardsForCalendar(stats.overall, sportGroups, groupSummary, options.goalProgress);
+
+            const recordIndex = window.CorosRecords && options.records
+                ? window.CorosRecords.getRecordIndex(options.records)
+                : null;
 
             let calendarHTML = '';
             if (viewMode === 'week') {
-                calendarHTML = renderWeekViewHTML(date, activities);
+                calendarHTML = renderWeekViewHTML(date, activities, recordIndex);
+            } else if (viewMode === 'year') {
+                calendarHTML = renderYearViewHTML(date, activities, { ...options, sportGroups: sportGroups });
             } else {
-                calendarHTML = renderMonthViewHTML(date, activities);
+                let weekActivities = options.weekActivities;
+                if (weekActivities && window.CorosSportFilter && options.sportFilter) {
+                    weekActivities = window.CorosSportFilter.apply(weekActivities, options.sportFilter, sportGroups);
+                }
+                calendarHTML = renderMonthViewHTML(date, activities, recordIndex, {
+                    sportGroups: sportGroups,
+                    compareWeeks: options.compareWeeks,
+                    activities: weekActivities
+                });
             }
 
             container.innerHTML = `
@@ -60,13 +79,15 @@ window.CorosCalendar = (function () {
                 ${calendarHTML}
             `;
 
-            // Add event listeners for activity tooltips (after calendar is rendered)
+            // Add event listeners for activity tooltips and day cells (after calendar is rendered)
+            hideActivityTooltip();
             addActivityTooltips(container);
+            addDayCellHandlers(container);
         } catch (error) {
             console.error('Error rendering calendar:', error);
             container.innerHTML = `
               <div class="coros-error-state">
-                <p>Failed to render calendar: ${error.message}</p>
+                <p>${t('errorRenderCalendar', escapeHTML(error.message))}</p>
               </div>
             `;
         }
@@ -106,78 +127,19 @@ window.CorosCalendar = (function () {
         return stats;
     }
 
-    function groupSummarizeByCodeForCalendar(activities) {
-        const groupSummary = {
-            run: { distance: 0, time: 0, count: 0, days: new Set() },
-            bike: { distance: 0, time: 0, count: 0, days: new Set() },
-            swim: { distance: 0, time: 0, count: 0, days: new Set() }
-        };
-
-        activities.forEach(a => {
-            const code = parseInt(a.code, 10);
-            const day = typeof a.date === 'string' ? a.date.split('T')[0] : a.date;
-            if (code >= 100 && code < 200) {
-                groupSummary.run.distance += a.distance || 0;
-                groupSummary.run.time += parseTimeToSecondsForCalendar(a.duration || 0);
-                groupSummary.run.count += 1;
-                groupSummary.run.days.add(day);
-            } else if (code >= 200 && code < 300) {
-                groupSummary.bike.distance += a.distance || 0;
-                groupSummary.bike.time += parseTimeToSecondsForCalendar(a.duration || 0);
-                groupSummary.bike.count += 1;
-                groupSummary.bike.days.add(day);
-            } else if (code >= 300 && code < 400) {
-                groupSummary.swim.distance += a.distance || 0;
-                groupSummary.swim.time += parseTimeToSecondsForCalendar(a.duration || 0);
-                groupSummary.swim.count += 1;
-                groupSummary.swim.days.add(day);
-            }
-        });
+    function generateSummaryCardsForCalendar(overallStats, sportGroups, groupSummary, goalProgress) {
+        const goalBars = (scope, metric) =>
+            window.CorosGoals ? window.CorosGoals.generateCardProgress(goalProgress, scope, metric) : '';
 
-        groupSummary.run.days = groupSummary.run.days.size;
-        groupSummary.bike.days = groupSummary.bike.days.size;
-        groupSummary.swim.days = groupSummary.swim.days.size;
-        return groupSummary;
-    }
-
-    function parseTimeToSecondsForCalendar(timeStr) {
-        if (typeof timeStr === 'number') return timeStr;
-        if (!timeStr) return 0;
-        const parts = timeStr.split(':').map(Number).reverse();
-        let seconds = 0;
-        if (parts[0]) seconds += parts[0];
-        if (parts[1]) seconds += parts[1] * 60;
-        if (parts[2]) seconds += parts[2] * 3600;
-        return seconds;
-    }
-
-    function generateSummaryCardsForCalendar(overallStats, groupSummary) {
-        const groupCards = [
-            {
-                key: 'run',
-                label: 'Run',
-                icon: '🏃',
-                color: '#FF6B6B',
-            },
-            {
-                key: 'bike',
-                label: 'Bike',
-                icon: '🚴',
-                color: '#4ECDC4',
-            },
-            {
-                key: 'swim',
-                label: 'Swim',
-                icon: '🏊',
-                color: '#45B7D1',
-            }
-        ].map(({ key, label, icon, color }) => {
-            const g = groupSummary[key];
+        const groupCards = sportGroups.map(group => {
+            const { id, icon, color } = group;
+            const g = groupSummary[id];
             return `
                 <div class="coros-stat-card group-summary" style="border-top: 3px solid ${color}">
-                  <div class="coros-stat-value">${icon} ${label}</div>
-                  <div class="coros-stat-label">${g.count} activities, ${g.days} days</div>
+                  <div class="coros-stat-value">${escapeHTML(icon)} ${escapeHTML(window.CorosSportGroups.getGroupName(group))}</div>
+                  <div class="coros-stat-label">${t('summaryGroupCounts', [g.count, g.days])}</div>
                   <div class="coros-stat-detail">${formatDistanceForCalendar(g.distance)}, ${formatDurationForCalendar(g.time)}</div>
+                  ${goalBars(id)}
                 </div>
               `;
         }).join('');
@@ -186,35 +148,34 @@ window.CorosCalendar = (function () {
             ${groupCards}
             <div class="coros-stat-card">
               <div class="coros-stat-value">${overallStats.totalActivities}</div>
-              <div class="coros-stat-label">Total Activities</div>
+              <div class="coros-stat-label">${t('summaryTotalActivities')}</div>
+              ${goalBars('overall', 'sessions')}
             </div>
             <div class="coros-stat-card">
               <div class="coros-stat-value">${overallStats.activeDays}</div>
-              <div class="coros-stat-label">Active Days</div>
+              <div class="coros-stat-label">${t('summaryActiveDays')}</div>
+              ${goalBars('overall', 'activeDays')}
             </div>
             <div class="coros-stat-card">
               <div class="coros-stat-value">${formatDistanceForCalendar(overallStats.totalDistance)}</div>
-              <div class="coros-stat-label">Total Distance</div>
+              <div class="coros-stat-label">${t('summaryTotalDistance')}</div>
+              ${goalBars('overall', 'distance')}
             </div>
             <div class="coros-stat-card">
               <div class="coros-stat-value">${formatDurationForCalendar(overallStats.totalDuration)}</div>
-              <div class="coros-stat-label">Total Time</div>
+              <div class="coros-stat-label">${t('summaryTotalTime')}</div>
+              ${goalBars('overall', 'duration')}
             </div>
             <div class="coros-stat-card">
               <div class="coros-stat-value">${formatCaloriesForCalendar(overallStats.totalCalories)}</div>
-              <div class="coros-stat-label">Total Calories</div>
+              <div class="coros-stat-label">${t('summaryTotalCalories')}</div>
             </div>
         `;
     }
 
-    function formatDistanceForCalendar(meters) {
+    function formatDistanceForCalendar(meters, unit) {
         if (!meters || meters < 1) return '0';
-        if (meters >= 1000) {
-            const km = (meters / 1000).toFixed(1);
-            return `${km} km`;
-        } else {
-            return `${Math.round(meters)} m`;
-        }
+        return window.CorosPreferences.formatDistance(meters, unit);
     }
 
     function formatDurationForCalendar(seconds) {
@@ -240,8 +201,8 @@ window.CorosCalendar = (function () {
     function normalizeActivityForCalendar(activity) {
         return {
             id: activity.id || activity.activityId || Math.random().toString(36),
-            name: activity.name || activity.title || 'Activity',
-            type: normalizeActivityType(activity.type || activity.sport),
+            name: activity.name || activity.title || t('activityDefaultName'),
+            type: window.CorosSports.getActivitySport(activity).type,
             duration: parseFloat(activity.duration || activity.movingTime || 0),
             distance: parseFloat(activity.distance || 0),
             startTime: activity.startTime || activity.date,
@@ -254,23 +215,34 @@ window.CorosCalendar = (function () {
     // --- End summary cards logic ---
 
     // Helper: renderMonthView and renderWeekView as HTML string (not direct DOM)
-    function renderMonthViewHTML(date, activities) {
+    // weekOptions: { sportGroups, compareWeeks, activities } for the weekly totals column
+    function renderMonthViewHTML(date, activities, recordIndex, weekOptions = {}) {
         const year = date.getFullYear();
         const month = date.getMonth();
         const activitiesByDate = processActivitiesByDate(activities);
+        if (weekOptions.activities) {
+            weekOptions = { ...weekOptions, activitiesByDate: groupActivitiesByDate(weekOptions.activities) };
+        }
         return `
         <div class="arco-table-container arco-table-has-fixed-col-left arco-table-has-fixed-col-right">
         <div class="arco-table-content arco-table-content-scroll-x">
         <table class="arco-table">
           <thead>
             <tr class="arco-table-tr">
-              ${WEEKDAYS.map(day =>
+              ${window.CorosPreferences.getWeekdays().map(day =>
                 `<th class="arco-table-th arco-table-col-fixed-left arco-table-col-fixed-left-last td-Name field-Name">${day}</th>`
             ).join('')}
+              <th class="arco-table-th coros-week-totals-th">
+                ${t('weekColumn')}
+                <label class="coros-week-compare">
+                  <input type="checkbox" id="coros-week-compare" ${weekOptions.compareWeeks ? 'checked' : ''}>
+                  ${t('weekCompare')}
+                </label>
+              </th>
             </tr>
           </thead>
           <tbody>
-            ${generateMonthRows(year, month, activitiesByDate)}
+            ${generateMonthRows(year, month, activitiesByDate, recordIndex, weekOptions)}
           </tbody>
         </table>
         </div>
@@ -278,7 +250,7 @@ window.CorosCalendar = (function () {
       `;
     }
 
-    function renderWeekViewHTML(date, activities) {
+    function renderWeekViewHTML(date, activities, recordIndex) {
         const weekStart = getWeekStart(date);
         const activitiesByDate = processActivitiesByDate(activities);
         const weekDays = [];
@@ -291,7 +263,7 @@ window.CorosCalendar = (function () {
         <table class="arco-table">
           <thead>
             <tr class="arco-table-tr">
-              ${WEEKDAYS.map(day =>
+              ${window.CorosPreferences.getWeekdays().map(day =>
                 `<th class="arco-table-th arco-table-col-fixed-left arco-table-col-fixed-left-last td-Name field-Name">${day}</th>`
             ).join('')}
             </tr>
@@ -299,14 +271,182 @@ window.CorosCalendar = (function () {
           <tbody>
             <tr class="arco-table-tr">
               ${weekDays.map(day =>
-                generateDayTd(day, activitiesByDate, false)
+                generateDayTd(day, activitiesByDate, false, recordIndex, true)
             ).join('')}
             </tr>
+            ${generateWeekSummaryRow(weekDays, activitiesByDate)}
           </tbody>
         </table>
       `;
     }
 
+    /**
+     * Totals row below the week view
+     * @param {Array} weekDays - Dates of the week
+     * @param {Object} activitiesByDate - From processActivitiesByDate
+     */
+    function generateWeekSummaryRow(weekDays, activitiesByDate) {
+        const weekActivities = weekDays.flatMap(day => activitiesByDate[formatDateKey(day)] || []);
+
+        return `
+            <tr class="arco-table-tr coros-week-summary">
+              <td class="arco-table-td" colspan="7">
+                <div class="coros-week-summary-items">
+                  <span class="coros-week-summary-title">${t('weekTotals')}</span>
+                  ${getTotalRows(weekActivities).map(([label, value]) =>
+                    `<span class="coros-week-summary-item">${label} <strong>${value}</strong></span>`
+                ).join('')}
+                </div>
+              </td>
+            </tr>
+        `;
+    }
+
+    function renderYearViewHTML(date, activities, options) {
+        const year = date.getFullYear();
+        const metric = HEATMAP_METRICS[options.metric] ? options.metric : 'duration';
+        const sportGroups = options.sportGroups || [];
+        // A group that was removed falls back to all sports
+        const sport = options.sport === 'other' || sportGroups.some(group => group.id === options.sport)
+            ? options.sport
+            : 'all';
+        const dailyTotals = aggregateDailyTotals(activities, sport, sportGroups);
+        const maxValue = Math.max(0, ...Object.values(dailyTotals).map(day => day[metric]));
+
+        const firstDay = new Date(year, 0, 1);
+        const lastDay = new Date(year, 11, 31);
+        const cursor = getWeekStart(firstDay);
+        const cells = [];
+        const monthLabels = [];
+        let weekCount = 0;
+
+        while (cursor <= lastDay) {
+            let label = '';
+            for (let day = 0; day < 7; day++) {
+                if (cursor.getFullYear() !== year) {
+                    cells.push('<div class="coros-heatmap-pad"></div>');
+                } else {
+                    if (cursor.getDate() === 1) {
+                        label = window.CorosPreferences.formatDate(cursor, { month: 'short' });
+                    }
+                    cells.push(generateHeatmapCell(cursor, dailyTotals, metric, maxValue));
+                }
+                cursor.setDate(cursor.getDate() + 1);
+            }
+            monthLabels.push(`<span>${label}</span>`);
+            weekCount++;
+        }
+
+        const sportOptions = [
+            { id: 'all', label: t('heatmapAllSports') },
+            ...sportGroups.map(group => ({ id: group.id, label: window.CorosSportGroups.getGroupName(group) })),
+            { id: 'other', label: t('groupOther') }
+        ]
+            .map(({ id, label }) => `<option value="${escapeHTML(id)}" ${id === sport ? 'selected' : ''}>${escapeHTML(label)}</option>`)
+            .join('');
+        const metricOptions = Object.entries(HEATMAP_METRICS)
+            .map(([key, config]) => `<option value="${key}" ${key === metric ? 'selected' : ''}>${t(config.labelKey)}</option>`)
+            .join('');
+        const consistency = calculateConsistency(year, dailyTotals);
+
+        return `
+        <div class="coros-heatmap-container">
+          <div class="coros-heatmap-toolbar">
+            <select id="coros-heatmap-metric">${metricOptions}</select>
+            <select id="coros-heatmap-sport">${sportOptions}</select>
+            <span class="coros-heatmap-summary">
+              ${t('heatmapSummary', [consistency.activeDays, consistency.longestStreak, consistency.longestBreak])}
+            </span>
+          </div>
+          <div class="coros-heatmap" style="--coros-heatmap-weeks: ${weekCount}">
+            <div class="coros-heatmap-months">${monthLabels.join('')}</div>
+            <div class="coros-heatmap-body">
+              <div class="coros-heatmap-weekdays">
+                ${window.CorosPreferences.getWeekdays().map((day, i) => `<span>${i % 2 === 1 ? day : ''}</span>`).join('')}
+              </div>
+              <div class="coros-heatmap-grid">${cells.join('')}</div>
+            </div>
+          </div>
+          <div class="coros-heatmap-legend">
+            <span>${t('heatmapLess')}</span>
+            ${[0, 1, 2, 3, 4].map(level => `<div class="coros-heatmap-swatch" data-level="${level}"></div>`).join('')}
+            <span>${t('heatmapMore')}</span>
+          </div>
+        </div>
+      `;
+    }
+
+    /**
+     * Generate a single heatmap day cell, scaled into levels 0-4 against the busiest day
+     */
+    function generateHeatmapCell(date, dailyTotals, metric, maxValue) {
+        const dateKey = formatDateKey(date);
+        const totals = dailyTotals[dateKey];
+        const value = totals ? totals[metric] : 0;
+        const level = value > 0 && maxValue > 0 ? Math.max(1, Math.ceil((value / maxValue) * 4)) : 0;
+        const title = totals
+            ? t('heatmapCellTitle', [dateKey, totals.count, HEATMAP_METRICS[metric].format(value)])
+            : t('heatmapCellEmpty', dateKey);
+
+        return `<div class="coros-heatmap-cell${isDateToday(date) ? ' today' : ''}" data-date="${dateKey}" data-level="${level}" title="${title}"></div>`;
+    }
+
+    /**
+     * Sum duration, distance and training load per local day, optionally for one sport group
+     * or for the activities in none of the groups ('other')
+     */
+    function aggregateDailyTotals(activities, sport, sportGroups) {
+        const totals = {};
+        const group = sportGroups.find(g => g.id === sport);
+
+        (activities || []).forEach(activity => {
+            if (sport === 'other' && sportGroups.some(g => window.CorosSportGroups.matches(g, activity.code))) {
+                return;
+            }
+            if (group && !window.CorosSportGroups.matches(group, activity.code)) {
+                return;
+            }
+            const dateKey = formatDateKey(new Date(activity.date || activity.startTime));
+            if (!totals[dateKey]) {
+                totals[dateKey] = { count: 0, duration: 0, distance: 0, trainingLoad: 0 };
+            }
+            totals[dateKey].count += 1;
+            totals[dateKey].duration += parseTimeToSeconds(activity.duration || 0);
+            totals[dateKey].distance += parseFloat(activity.distance) || 0;
+            totals[dateKey].trainingLoad += parseFloat(activity.trainingLoad) || 0;
+        });
+
+        return totals;
+    }
+
+    /**
+     * Active days, longest streak and longest break for the elapsed part of a year
+     */
+    function calculateConsistency(year, dailyTotals) {
+        const cursor = new Date(year, 0, 1);
+        const today = new Date();
+        const lastDay = today.getFullYear() === year ? today : new Date(year, 11, 31);
+        const result = { activeDays: 0, longestStreak: 0, longestBreak: 0 };
+        let streak = 0;
+        let gap = 0;
+
+        while (cursor <= lastDay) {
+            if (dailyTotals[formatDateKey(cursor)]) {
+                result.activeDays++;
+                streak++;
+                gap = 0;
+            } else {
+                gap++;
+                streak = 0;
+            }
+            result.longestStreak = Math.max(result.longestStreak, streak);
+            result.longestBreak = Math.max(result.longestBreak, gap);
+            cursor.setDate(cursor.getDate() + 1);
+        }
+
+        return result;
+    }
+
     /**
      * Render month view calendar
      */
@@ -324,7 +464,7 @@ window.CorosCalendar = (function () {
         <table class="arco-table">
           <thead>
             <tr class="arco-table-tr">
-              ${WEEKDAYS.map(day =>
+              ${window.CorosPreferences.getWeekdays().map(day =>
                 `<th class="arco-table-th arco-table-col-fixed-left arco-table-col-fixed-left-last td-Name field-Name">${day}</th>`
             ).join('')}
             </tr>
@@ -361,7 +501,7 @@ window.CorosCalendar = (function () {
         <table class="arco-table">
           <thead>
             <tr class="arco-table-tr">
-              ${WEEKDAYS.map(day =>
+              ${window.CorosPreferences.getWeekdays().map(day =>
                 `<th class="arco-table-th arco-table-col-fixed-left arco-table-col-fixed-left-last td-Name field-Name">${day}</th>`
             ).join('')}
             </tr>
@@ -384,9 +524,25 @@ window.CorosCalendar = (function () {
     }
 
     /**
-     * Process activities data and group by date
+     * Process activities data and group by date, keeping them for the tooltip and day drawer
      */
     function processActivitiesByDate(activities) {
+        const activitiesByDate = groupActivitiesByDate(activities);
+        renderedActivities = {};
+        renderedActivitiesByDate = activitiesByDate;
+
+        Object.values(activitiesByDate).forEach(dayActivities => dayActivities.forEach(activity => {
+            if (activity.id) {
+                renderedActivities[activity.id] = activity;
+            }
+        }));
+        return activitiesByDate;
+    }
+
+    /**
+     * Normalize activities and group them by date, sorted by start time within each day
+     */
+    function groupActivitiesByDate(activities) {
         const activitiesByDate = {};
 
         if (!Array.isArray(activities)) {
@@ -405,13 +561,16 @@ window.CorosCalendar = (function () {
                 // Normalize activity data
                 const normalizedActivity = {
                     id: activity.id || activity.activityId,
-                    name: activity.name || activity.title || 'Activity',
-                    type: normalizeActivityType(activity.type || activity.sport),
+                    name: activity.name || activity.title || t('activityDefaultName'),
+                    type: window.CorosSports.getActivitySport(activity).type,
                     code: activity.code || activity.sportType || activity.sportCode || undefined,
                     duration: activity.duration || activity.movingTime || 0,
                     distance: activity.distance || 0,
                     startTime: activity.startTime || activity.date,
-                    calories: activity.calories || 0
+                    calories: activity.calories || 0,
+                    avgHr: activity.avgHr,
+                    trainingLoad: activity.trainingLoad,
+                    device: activity.device
                 };
 
                 activitiesByDate[dateKey].push(normalizedActivity);
@@ -431,33 +590,104 @@ window.CorosCalendar = (function () {
     }
 
     /**
-     * Generate month days HTML
+     * Generate month days HTML, each week followed by its totals cell
+     * Totals come from weekOptions.activitiesByDate when given (whole weeks, and the week before the first
+     * row to compare against), otherwise from the month's own activities
      */
-    function generateMonthRows(year, month, activitiesByDate) {
+    function generateMonthRows(year, month, activitiesByDate, recordIndex, weekOptions = {}) {
         const firstDay = new Date(year, month, 1);
-        const startDate = new Date(firstDay);
-        startDate.setDate(startDate.getDate() - firstDay.getDay());
+        const startDate = getWeekStart(firstDay);
+        const totalsByDate = weekOptions.activitiesByDate || activitiesByDate;
 
         const rows = [];
         let currentDate = new Date(startDate);
+        let previousWeekActivities = weekOptions.activitiesByDate
+            ? getWeekActivitiesByDate(totalsByDate, new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - 7))
+            : null;
 
         // Generate 6 weeks (42 days) to ensure consistent calendar layout
         for (let week = 0; week < 6; week++) {
             const tds = [];
+            const weekActivities = getWeekActivitiesByDate(totalsByDate, currentDate);
             for (let day = 0; day < 7; day++) {
                 const isCurrentMonth = currentDate.getMonth() === month;
-                tds.push(generateDayTd(currentDate, activitiesByDate, !isCurrentMonth));
+                tds.push(generateDayTd(currentDate, activitiesByDate, !isCurrentMonth, recordIndex));
                 currentDate.setDate(currentDate.getDate() + 1);
             }
+            tds.push(generateWeekTotalsTd(weekActivities, weekOptions.compareWeeks ? previousWeekActivities : null, weekOptions.sportGroups || []));
             rows.push(`<tr class="arco-table-tr">${tds.join('')}</tr>`);
+            previousWeekActivities = weekActivities;
         }
         return rows.join('');
     }
 
+    // Activities of the 7 days from weekStart
+    function getWeekActivitiesByDate(activitiesByDate, weekStart) {
+        const activities = [];
+        for (let day = 0; day < 7; day++) {
+            const date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + day);
+            activities.push(...(activitiesByDate[formatDateKey(date)] || []));
+        }
+        return activities;
+    }
+
+    /**
+     * Weekly totals cell: sessions, time and training load for the week, then distance, time,
+     * sessions and load per sport group
+     * @param {Array} activities - Normalized activities of the week
+     * @param {Array|null} previousActivities - Previous week's, to show the load change (null hides it)
+     * @param {Array} sportGroups - Groups from CorosSportGroups
+     */
+    function generateWeekTotalsTd(activities, previousActivities, sportGroups) {
+        if (activities.length === 0) {
+            return '<td class="arco-table-td coros-week-totals"></td>';
+        }
+
+        const totals = sumActivities(activities);
+        const previousTotals = previousActivities ? sumActivities(previousActivities) : null;
+        const summary = window.CorosSportGroups ? window.CorosSportGroups.summarize(activities, sportGroups) : {};
+        const previousSummary = previousActivities && window.CorosSportGroups
+            ? window.CorosSportGroups.summarize(previousActivities, sportGroups)
+            : {};
+
+        const groupLines = sportGroups.filter(group => summary[group.id].count > 0).map(group => {
+            const g = summary[group.id];
+            const previous = previousSummary[group.id];
+            return `
+              <div class="coros-week-total-group" style="--coros-sport-color: ${group.color}" title="${escapeHTML(window.CorosSportGroups.getGroupName(group))}">
+                ${escapeHTML(group.icon)} ${g.count}× · ${formatDistanceForCalendar(g.distance)} · ${formatDurationForCalendar(g.time)} · ${t('weekLoad', Math.round(g.load))}
+                ${previous ? generateLoadChangeHTML(g.load, previous.load) : ''}
+              </div>
+            `;
+        }).join('');
+
+        return `
+          <td class="arco-table-td coros-week-totals">
+            <div class="coros-week-total-overall">
+              ${activities.length}× · ${formatDurationForCalendar(totals.duration)} · ${t('weekLoad', Math.round(totals.trainingLoad))}
+              ${previousTotals ? generateLoadChangeHTML(totals.trainingLoad, previousTotals.trainingLoad) : ''}
+            </div>
+            ${groupLines}
+          </td>
+        `;
+    }
+
+    // Training load change against the previous week, e.g. '+12%' (nothing when there is no previous load)
+    function generateLoadChangeHTML(load, previousLoad) {
+        if (!previousLoad) {
+            return '';
+        }
+        const change = Math.round((load - previousLoad) / previousLoad * 100);
+        const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+        return `<span class="coros-week-change ${direction}" title="${t('weekChangeTitle')}">${change > 0 ? '+' : ''}${change}%</span>`;
+    }
+
     /**
      * Generate individual day cell HTML
+     * @param {Object} [recordIndex] - From CorosRecords.getRecordIndex, badges record-setting activities and days
+     * @param {boolean} [showTotals] - Add the day's duration and distance below its activities (week view)
      */
-    function generateDayTd(date, activitiesByDate, isOtherMonth) {
+    function generateDayTd(date, activitiesByDate, isOtherMonth, recordIndex, showTotals = false) {
         const dateKey = formatDateKey(date);
         const activities = activitiesByDate[dateKey] || [];
         const isToday = isDateToday(date);
@@ -471,22 +701,39 @@ window.CorosCalendar = (function () {
             isToday ? 'today' : ''
         ].filter(Boolean).join(' ');
 
-        const activitiesHTML = generateActivitiesHTML(activities);
+        const activitiesHTML = generateActivitiesHTML(activities, recordIndex);
+        const dayBadge = recordIndex && window.CorosRecords
+            ? window.CorosRecords.generateBadge(recordIndex.days[dateKey])
+            : '';
+        const totalsHTML = showTotals && activities.length > 0 ? generateDayTotalsHTML(activities) : '';
+        // Days with activities open the day drawer, so they take keyboard focus
+        const drawerAttributes = activities.length > 0 ? ' tabindex="0" aria-haspopup="dialog"' : '';
 
         return `
-        <td class="${classes}" data-date="${dateKey}">
-          <div class="coros-day-number">${date.getDate()}</div>
+        <td class="${classes}" data-date="${dateKey}"${drawerAttributes}>
+          <div class="coros-day-number">${date.getDate()}${dayBadge}</div>
           <div class="coros-day-activities">
             ${activitiesHTML}
           </div>
+          ${totalsHTML}
         </td>
       `;
     }
 
+    // Compact duration · distance line for a day cell
+    function generateDayTotalsHTML(activities) {
+        const totals = sumActivities(activities);
+        const parts = [formatDurationForCalendar(totals.duration)];
+        if (totals.distance > 0) {
+            parts.push(formatDistanceForCalendar(totals.distance));
+        }
+        return `<div class="coros-day-totals">${parts.join(' · ')}</div>`;
+    }
+
     /**
      * Generate activities HTML for a day
      */
-    function generateActivitiesHTML(activities) {
+    function generateActivitiesHTML(activities, recordIndex) {
         if (!activities || activities.length === 0) {
             return '';
         }
@@ -500,10 +747,16 @@ window.CorosCalendar = (function () {
                     ...activity,
                     count: 0,
                     totalDistance: 0,
-                    totalDuration: 0
+                    totalDuration: 0,
+                    ids: [],
+                    recordLabels: []
                 };
             }
             grouped[type].count += 1;
+            grouped[type].ids.push(activity.id);
+            if (recordIndex && recordIndex.activities[activity.id]) {
+                grouped[type].recordLabels.push(...recordIndex.activities[activity.id]);
+            }
             grouped[type].totalDistance += activity.distance || 0;
             grouped[type].totalDuration += activity.duration || 0;
         });
@@ -513,10 +766,11 @@ window.CorosCalendar = (function () {
         groupedList.sort((a, b) => (a.type > b.type ? 1 : -1));
 
         let html = groupedList.map(group => {
-            const sportConfig = SPORT_TYPES[group.type] || SPORT_TYPES.other;
-            const distance = formatDistance(group.totalDistance);
+            const sport = window.CorosSports.getActivitySport(group);
+            const distance = formatDistance(group.totalDistance, sport.distanceUnit);
             const duration = formatDuration(group.totalDuration);
             const countStr = group.count > 1 ? ` x${group.count}` : '';
+            const recordBadge = window.CorosRecords ? window.CorosRecords.generateBadge(group.recordLabels) : '';
             // Show both distance and duration if both exist
             let details = '';
             if (distance && duration) {
@@ -527,59 +781,23 @@ window.CorosCalendar = (function () {
                 details = duration;
             }
 
-            // Complete sportIconMap from provided HTML
-            const sportIconMap = {
-                100: { icon: 'icon-outrun', color: 'rgb(248, 192, 50)' },
-                101: { icon: 'icon-indoor_run', color: 'rgb(248, 192, 50)' },
-                102: { icon: 'icon-trailrun', color: 'rgb(248, 192, 50)' },
-                103: { icon: 'icon-groundrun', color: 'rgb(248, 192, 50)' },
-                104: { icon: 'icon-hike', color: 'rgb(250, 225, 60)' },
-                105: { icon: 'icon-climb', color: 'rgb(48, 201, 202)' },
-                200: { icon: 'icon-cycle', color: 'rgb(28, 181, 64)' },
-                201: { icon: 'icon-indoor_bike', color: 'rgb(28, 181, 64)' },
-                202: { icon: 'icon-road-ebike', color: 'rgb(28, 181, 64)' },
-                203: { icon: 'icon-gravel-road-riding', color: 'rgb(28, 181, 64)' },
-                204: { icon: 'icon-mountain-riding', color: 'rgb(28, 181, 64)' },
-                205: { icon: 'icon-mteb', color: 'rgb(28, 181, 64)' },
-                299: { icon: 'icon-cycle', color: 'rgb(28, 181, 64)' },
-                300: { icon: 'icon-poolswim', color: 'rgb(48, 112, 255)' },
-                301: { icon: 'icon-openwater', color: 'rgb(48, 112, 255)' },
-                400: { icon: 'icon-Indoor_erobics', color: 'rgb(217, 46, 218)' },
-                401: { icon: 'icon-outdoor_aerobics', color: 'rgb(217, 46, 218)' },
-                402: { icon: 'icon-strength', color: 'rgb(217, 46, 218)' },
-                800: { icon: 'icon-indoor_climb', color: 'rgb(48, 201, 202)' },
-                801: { icon: 'icon-bouldering_w', color: 'rgb(48, 201, 202)' },
-                900: { icon: 'icon-walk', color: 'rgb(250, 225, 60)' },
-                901: { icon: 'icon-jump', color: 'rgb(217, 46, 218)' },
-                10000: { icon: 'icon-triathlon', color: 'rgb(255, 159, 64)' },
-                10003: { icon: 'icon-PitchClimb', color: 'rgb(48, 201, 202)' },
-                other: { icon: 'icon-other', color: 'rgb(200,200,200)' }
-            };
-            let iconTypeClass = 'icon-other';
-            let iconColor = 'rgb(200,200,200)';
-            let dataSport = '';
-            if (group.code && sportIconMap[group.code]) {
-                iconTypeClass = sportIconMap[group.code].icon;
-                iconColor = sportIconMap[group.code].color;
-                dataSport = group.code;
-            } else {
-                iconTypeClass = sportIconMap.other.icon;
-                iconColor = sportIconMap.other.color;
-                dataSport = '';
-            }
-            // Custom icon HTML
-            const iconHTML = `<span style="width:auto; padding: 4px;" class="arco-table-td-content"><div class="flex-1 flex"><span class="iconfont-sport ${iconTypeClass} text-20" data-sport="${dataSport}" style="color: ${iconColor};"></span></div></span>`;
+            // COROS iconfont icon (unknown codes fall back to the generic icon)
+            const iconHTML = `<span style="width:auto; padding: 4px;" class="arco-table-td-content"><div class="flex-1 flex"><span class="iconfont-sport ${sport.iconClass} text-20" data-sport="${sport.code || ''}" style="color: ${sport.iconColor};" title="${sport.name}"></span></div></span>`;
 
             return `
           <div class="coros-activity-item" 
+               tabindex="0"
+               role="button"
                data-activity-id="${group.id}"
+               data-activity-ids="${group.ids.join(',')}"
                data-sport-type="${group.code || 'other'}"
-               style="background-color: ${sportConfig.color}20; border-left: 3px solid ${sportConfig.color}; display: flex; align-items: center;">
+               style="--coros-sport-color: ${sport.color}; display: flex; align-items: center;">
             ${iconHTML}
             ${countStr}
             <span class="coros-activity-details" style="margin-left: 4px;">
               ${details}
             </span>
+            ${recordBadge}
           </div>
         `;
         }).join('');
@@ -596,93 +814,323 @@ window.CorosCalendar = (function () {
         activityItems.forEach(item => {
             item.addEventListener('mouseenter', showActivityTooltip);
             item.addEventListener('mouseleave', hideActivityTooltip);
+            item.addEventListener('focus', showActivityTooltip);
+            item.addEventListener('blur', hideActivityTooltip);
+            item.addEventListener('keydown', handleActivityKeydown);
             item.addEventListener('click', handleActivityClick);
         });
     }
 
     /**
-     * Show activity tooltip
+     * Show a tooltip listing every activity grouped into the hovered or focused item
      */
     function showActivityTooltip(event) {
-        const activityId = event.currentTarget.dataset.activityId;
-        // Find activity data and show tooltip
-        // This would integrate with COROS API to get detailed activity info
-        console.log('Show tooltip for activity:', activityId);
+        const item = event.currentTarget;
+        const activities = (item.dataset.activityIds || item.dataset.activityId || '')
+            .split(',')
+            .map(id => renderedActivities[id])
+            .filter(Boolean);
+
+        hideActivityTooltip();
+        if (activities.length === 0) {
+            return;
+        }
+
+        const tooltip = document.createElement('div');
+        tooltip.id = 'coros-activity-tooltip';
+        tooltip.className = 'coros-activity-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.innerHTML = activities.map(generateTooltipActivityHTML).join('');
+        window.CorosTheme.apply(tooltip);
+        document.body.appendChild(tooltip);
+
+        item.setAttribute('aria-describedby', tooltip.id);
+        positionTooltip(tooltip, item);
     }
 
     /**
      * Hide activity tooltip
      */
-    function hideActivityTooltip(event) {
-        // Hide tooltip
+    function hideActivityTooltip() {
         const existingTooltip = document.querySelector('.coros-activity-tooltip');
         if (existingTooltip) {
             existingTooltip.remove();
         }
+        document.querySelectorAll('.coros-activity-item[aria-describedby]').forEach(item => {
+            item.removeAttribute('aria-describedby');
+        });
+    }
+
+    /**
+     * Keyboard support: Enter/Space opens the activity, Escape closes the tooltip
+     */
+    function handleActivityKeydown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            handleActivityClick(event);
+        } else if (event.key === 'Escape') {
+            hideActivityTooltip();
+        }
+    }
+
+    /**
+     * Tooltip section for one activity
+     */
+    function generateTooltipActivityHTML(activity) {
+        const sport = window.CorosSports.getActivitySport(activity);
+
+        return `
+          <div class="coros-tooltip-activity">
+            <div class="coros-tooltip-title">${sport.icon} ${escapeHTML(activity.name)}</div>
+            ${generateDetailListHTML(getActivityDetailRows(activity))}
+          </div>
+        `;
+    }
+
+    /**
+     * Label/value pairs describing an activity (empty values left out)
+     */
+    function getActivityDetailRows(activity) {
+        const sport = window.CorosSports.getActivitySport(activity);
+        const startTime = new Date(activity.startTime);
+        const distance = parseFloat(activity.distance) || 0;
+        const duration = parseFloat(activity.duration) || 0;
+
+        return [
+            [t('detailSport'), sport.name],
+            [t('detailStart'), isNaN(startTime) ? '' : window.CorosPreferences.formatTime(startTime)],
+            [t('detailDistance'), distance > 0 ? formatDistanceForCalendar(distance, sport.distanceUnit) : ''],
+            [t('detailDuration'), duration > 0 ? formatDurationForCalendar(duration) : ''],
+            [t('detailPace'), formatPace(sport.paceStyle, distance, duration)],
+            [t('detailAvgHr'), activity.avgHr > 0 ? `${Math.round(activity.avgHr)} bpm` : ''],
+            [t('detailCalories'), activity.calories > 0 ? formatCaloriesForCalendar(activity.calories) : ''],
+            [t('detailTrainingLoad'), activity.trainingLoad > 0 ? String(Math.round(activity.trainingLoad)) : ''],
+            [t('detailDevice'), activity.device || '']
+        ].filter(([, value]) => value);
+    }
+
+    function generateDetailListHTML(rows) {
+        return `
+            <dl class="coros-tooltip-details">
+              ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHTML(value)}</dd>`).join('')}
+            </dl>
+        `;
+    }
+
+    /**
+     * Place the tooltip below the item, or above it when there is no room, within the viewport
+     */
+    function positionTooltip(tooltip, anchor) {
+        const margin = 8;
+        const anchorRect = anchor.getBoundingClientRect();
+        const tooltipRect = tooltip.getBoundingClientRect();
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+        const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+        let top = anchorRect.bottom + margin;
+        if (top + tooltipRect.height > viewportHeight - margin && anchorRect.top - tooltipRect.height - margin >= margin) {
+            top = anchorRect.top - tooltipRect.height - margin;
+        }
+        const left = Math.min(
+            Math.max(margin, anchorRect.left),
+            Math.max(margin, viewportWidth - tooltipRect.width - margin)
+        );
+
+        tooltip.style.top = `${Math.max(margin, top)}px`;
+        tooltip.style.left = `${left}px`;
     }
 
     /**
      * Handle activity click
      */
     function handleActivityClick(event) {
-        const activityId = event.currentTarget.dataset.activityId;
-        const sportType = event.currentTarget.dataset.sportType || 'other';
+        const item = event.currentTarget;
+        const activityId = item.dataset.activityId;
+        const sportType = item.dataset.sportType || 'other';
+        const dayCell = item.closest('td[data-date]');
+
+        // Grouped sessions ("x2") are listed individually in the day drawer
+        if (dayCell && (item.dataset.activityIds || '').split(',').length > 1) {
+            event.stopPropagation();
+            openDayDrawer(dayCell.dataset.date);
+            return;
+        }
+
         // Navigate to activity details or open in new tab
         if (activityId) {
+            event.stopPropagation();
             // when clicked, open the activity details page
-            const activityUrl = `https://t.coros.com/activity-detail?labelId=${activityId}&sportType=${sportType}`;
-            window.open(activityUrl, '_blank');
+            window.open(getActivityUrl(activityId, sportType), '_blank');
         }
     }
 
     /**
-     * Utility functions
+     * Open the day drawer when a day cell is clicked, or focused and Enter or Space is pressed
      */
-    function formatDateKey(date) {
-        // Return YYYY-MM-DD in local time zone
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    function addDayCellHandlers(container) {
+        container.querySelectorAll('td[data-date]').forEach(cell => {
+            cell.addEventListener('click', () => openDayDrawer(cell.dataset.date));
+            cell.addEventListener('keydown', event => {
+                // Activities inside the cell handle their own keys
+                if (event.target === cell && (event.key === 'Enter' || event.key === ' ')) {
+                    event.preventDefault();
+                    openDayDrawer(cell.dataset.date);
+                }
+            });
+        });
     }
 
+    /**
+     * Open a side drawer listing each session of a day with its metrics, link and the day totals.
+     * Days without activities are ignored.
+     * @param {string} dateKey - Day in YYYY-MM-DD format
+     */
+    function openDayDrawer(dateKey) {
+        const activities = renderedActivitiesByDate[dateKey] || [];
+        if (activities.length === 0) {
+            return;
+        }
+
+        closeDayDrawer();
+        hideActivityTooltip();
+        drawerReturnFocus = document.activeElement;
+
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const title = window.CorosPreferences.formatDate(new Date(year, month - 1, day),
+            { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+        const totalRows = getTotalRows(activities);
+
+        const sessionsHTML = activities.map(activity => {
+            const sport = window.CorosSports.getActivitySport(activity);
+            const link = activity.id
+                ? `<a class="coros-drawer-link" href="${getActivityUrl(activity.id, activity.code || 'other')}" target="_blank" rel="noopener">${t('drawerOpenInCoros')}</a>`
+                : '';
+            return `
+              <li class="coros-drawer-session" style="border-left: 3px solid ${sport.color}">
+                <div class="coros-tooltip-title">${sport.icon} ${escapeHTML(activity.name)}</div>
+                ${generateDetailListHTML(getActivityDetailRows(activity))}
+                ${link}
+              </li>
+            `;
+        }).join('');
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'coros-drawer-backdrop';
+        backdrop.addEventListener('click', closeDayDrawer);
+        window.CorosTheme.apply(backdrop);
+
+        const drawer = document.createElement('aside');
+        drawer.className = 'coros-day-drawer';
+        drawer.dataset.date = dateKey;
+        drawer.setAttribute('role', 'dialog');
+        drawer.setAttribute('aria-modal', 'true');
+        drawer.setAttribute('aria-label', title);
+        window.CorosTheme.apply(drawer);
+        drawer.innerHTML = `
+          <div class="coros-drawer-header">
+            <h3>${title}</h3>
+            <button class="coros-drawer-close" aria-label="${t('drawerClose')}">✕</button>
+          </div>
+          <div class="coros-drawer-totals">
+            <h4>${t('drawerDayTotals')}</h4>
+            ${generateDetailListHTML(totalRows)}
+          </div>
+          <ol class="coros-drawer-sessions">
+            ${sessionsHTML}
+          </ol>
+        `;
+        drawer.querySelector('.coros-drawer-close').addEventListener('click', closeDayDrawer);
+        drawer.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                closeDayDrawer();
+            } else if (event.key === 'Tab') {
+                trapDrawerFocus(drawer, event);
+            }
+        });
+
+        document.body.appendChild(backdrop);
+        document.body.appendChild(drawer);
+        drawer.querySelector('.coros-drawer-close').focus();
+    }
+
+    /**
+     * Sum distance, duration, calories and training load of normalized activities
+     * @param {Array} activities - Activities from processActivitiesByDate
+     * @returns {Object} { distance, duration, calories, trainingLoad }
+     */
+    function sumActivities(activities) {
+        return activities.reduce((sum, activity) => ({
+            distance: sum.distance + (parseFloat(activity.distance) || 0),
+            duration: sum.duration + (parseFloat(activity.duration) || 0),
+            calories: sum.calories + (parseFloat(activity.calories) || 0),
+            trainingLoad: sum.trainingLoad + (parseFloat(activity.trainingLoad) || 0)
+        }), { distance: 0, duration: 0, calories: 0, trainingLoad: 0 });
+    }
+
+    // [label, value] rows for the totals of a day (drawer) or week (summary row)
+    function getTotalRows(activities) {
+        const totals = sumActivities(activities);
+        return [
+            [t('detailSessions'), String(activities.length)],
+            [t('detailDistance'), formatDistanceForCalendar(totals.distance)],
+            [t('detailDuration'), formatDurationForCalendar(totals.duration)],
+            [t('detailCalories'), formatCaloriesForCalendar(totals.calories)],
+            [t('detailTrainingLoad'), String(Math.round(totals.trainingLoad))]
+        ];
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling through the links and buttons of the drawer while it is open
+     */
+    function trapDrawerFocus(drawer, event) {
+        const focusable = Array.from(drawer.querySelectorAll('a[href], button'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && (document.activeElement === first || !drawer.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Close the day drawer if open, returning focus to where it was before it opened
+     */
+    function closeDayDrawer() {
+        const drawer = document.querySelector('.coros-day-drawer');
+        document.querySelectorAll('.coros-day-drawer, .coros-drawer-backdrop').forEach(element => element.remove());
+        if (!drawer) {
+            return;
+        }
+
+        // After a re-render the opener is gone; fall back to the same day's cell
+        const returnFocus = drawerReturnFocus && drawerReturnFocus.isConnected
+            ? drawerReturnFocus
+            : document.querySelector(`td[data-date="${drawer.dataset.date}"][tabindex]`);
+        drawerReturnFocus = null;
+        if (returnFocus) {
+            returnFocus.focus();
+        }
+    }
+
+    function getActivityUrl(activityId, sportType) {
+        return `https://t.coros.com/activity-detail?labelId=${activityId}&sportType=${sportType}`;
+    }
+
+    /**
+     * Utility functions
+     */
     function isDateToday(date) {
         const today = new Date();
         return date.toDateString() === today.toDateString();
     }
 
     function getWeekStart(date) {
-        const start = new Date(date);
-        const day = start.getDay();
-        const diff = start.getDate() - day;
-        start.setDate(diff);
-        return start;
-    }
-
-    function normalizeActivityType(type) {
-        if (!type) return 'other';
-
-        const normalized = type.toLowerCase().replace(/[_\s-]/g, '_');
-
-        // Map common variations to our standard types
-        const typeMapping = {
-            'run': 'running',
-            'bike': 'cycling',
-            'ride': 'cycling',
-            'swim': 'swimming',
-            'hike': 'hiking',
-            'walk': 'walking',
-            'weight_training': 'strength',
-            'strength_training': 'strength',
-            'gym': 'strength',
-            'indoor_bike': 'indoor_cycling',
-            'spinning': 'indoor_cycling',
-            'treadmill_run': 'treadmill',
-            'cross_training': 'other',
-            'cardio': 'other'
-        };
-
-        return typeMapping[normalized] || (SPORT_TYPES[normalized] ? normalized : 'other');
+        return window.CorosPreferences.getWeekStart(date);
     }
 
     function formatDuration(seconds) {
@@ -698,21 +1146,20 @@ window.CorosCalendar = (function () {
         }
     }
 
-    function formatDistance(meters) {
-        if (!meters || meters < 100) return '';
+    function formatPace(style, meters, seconds) {
+        return window.CorosPreferences.formatPace(style, meters, seconds);
+    }
 
-        if (meters >= 1000) {
-            const km = (meters / 1000).toFixed(1);
-            return `${km}km`;
-        } else {
-            return `${Math.round(meters)}m`;
-        }
+    function formatDistance(meters, unit) {
+        if (!meters || meters < 100 || unit === null) return '';
+
+        // Swims read better in meters (or yards)
+        return window.CorosPreferences.formatDistance(meters, unit, '');
     }
 
     // Public API
     return {
-        render: render,
-        SPORT_TYPES: SPORT_TYPES
+        render: render
     };
 
 })();
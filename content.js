@@ -3,6 +3,9 @@
 (function () {
   'use strict';
 
+  const { formatDateKey } = window.CorosUtils;
+  const { t } = window.CorosI18n;
+
   // Prevent multiple initializations
   if (window.corosCalendarExtension) {
     return;
@@ -16,20 +19,21 @@
     currentView: 'calendar', // 'calendar' or 'statistics'
     currentDate: new Date(),
     activities: {},
+    yearActivities: {},
+    heatmapOptions: { metric: 'duration', sport: 'all' },
+    statisticsPeriod: { type: 'month', start: null, end: null }, // start/end only used by 'custom'
+    periodActivities: {},
+    goalProgress: [],
+    records: null,
+    sportFilter: { groups: [], codes: [] },
+    sportFilterOpen: false, // keep the filter dropdown open while re-rendering after a change
+    sportGroups: null, // null until loaded; the renderers fall back to the default groups
+    calendarViewMode: 'month', // 'month', 'week' or 'year'; kept across re-renders and data loads
+    compareWeeks: false, // month view weekly totals show the change from the previous week
+    syncTimes: {}, // monthKey -> when the loaded month was last synced from COROS (ms)
     isLoading: false
   };
 
-  // Sport type configurations
-  const SPORT_TYPES = {
-    'running': { icon: '🏃', color: '#FF6B6B', name: 'Running' },
-    'cycling': { icon: '🚴', color: '#4ECDC4', name: 'Cycling' },
-    'swimming': { icon: '🏊', color: '#45B7D1', name: 'Swimming' },
-    'hiking': { icon: '🥾', color: '#96CEB4', name: 'Hiking' },
-    'walking': { icon: '🚶', color: '#FECA57', name: 'Walking' },
-    'strength': { icon: '💪', color: '#FF9FF3', name: 'Strength' },
-    'other': { icon: '⚡', color: '#95A5A6', name: 'Other' }
-  };
-
   // Initialize extension when DOM is ready
   function initializeExtension() {
     if (extensionState.isInitialized) return;
@@ -114,6 +118,7 @@
     const extensionContainer = document.createElement('div');
     extensionContainer.id = 'coros-calendar-extension';
     extensionContainer.className = 'coros-extension-container';
+    window.CorosTheme.apply(extensionContainer);
 
     // Create collapse button
     const collapseButton = createCollapseButton();
@@ -122,11 +127,11 @@
     const tabContainer = document.createElement('div');
     tabContainer.className = 'coros-extension-tabs';
     tabContainer.innerHTML = `
-      <button class="coros-tab-btn active" data-tab="calendar">
-        Calendar
+      <button class="coros-tab-btn active" data-tab="calendar" data-i18n="tabCalendar">
+        ${t('tabCalendar')}
       </button>
-      <button class="coros-tab-btn" data-tab="statistics">
-        Statistics
+      <button class="coros-tab-btn" data-tab="statistics" data-i18n="tabStatistics">
+        ${t('tabStatistics')}
       </button>
     `;
 
@@ -140,7 +145,7 @@
     loadingIndicator.className = 'coros-loading';
     loadingIndicator.innerHTML = `
       <div class="coros-spinner"></div>
-      <p>Loading activity data...</p>
+      <p data-i18n="loadingActivityData">${t('loadingActivityData')}</p>
     `;
 
     // Assemble UI
@@ -199,7 +204,7 @@
 
       // Refresh button (most specific check first)
       if (target.id === 'coros-refresh-btn') {
-        handleRefreshData();
+        handleRefreshData(target.dataset.view);
       }
       // Tab switching
       else if (target.classList.contains('coros-tab-btn')) {
@@ -213,12 +218,52 @@
       else if (target.id === 'coros-calendar-collapse-btn') {
         handleCollapseToggle();
       }
+      // Goals (statistics tab)
+      else if (target.id === 'coros-goal-add') {
+        handleAddGoal();
+      }
+      else if (target.classList.contains('coros-goal-remove')) {
+        handleRemoveGoal(target.dataset.goalId);
+      }
+      // Sport groups (statistics tab)
+      else if (target.id === 'coros-group-add') {
+        handleAddSportGroup();
+      }
+      else if (target.classList.contains('coros-group-remove')) {
+        handleRemoveSportGroup(target.dataset.groupId);
+      }
+      else if (target.id === 'coros-group-reset') {
+        handleResetSportGroups();
+      }
+      // Sport filter reset
+      else if (target.id === 'coros-sport-filter-clear') {
+        handleSportFilterClear();
+      }
+      // Year heatmap day (click-through to month view)
+      else if (target.classList.contains('coros-heatmap-cell') && target.dataset.date) {
+        handleHeatmapDaySelect(target.dataset.date);
+      }
     });
 
     // View mode switching (month/week)
     document.addEventListener('change', (e) => {
       if (e.target.id === 'coros-view-mode') {
         handleViewModeChange(e.target.value);
+      } else if (e.target.id === 'coros-heatmap-metric' || e.target.id === 'coros-heatmap-sport') {
+        handleHeatmapOptionChange(e.target.id === 'coros-heatmap-metric' ? 'metric' : 'sport', e.target.value);
+      } else if (e.target.id === 'coros-week-compare') {
+        handleWeekCompareChange(e.target.checked);
+      } else if (e.target.id === 'coros-export-format') {
+        handleExport(e.target.value, e.target.dataset);
+        e.target.value = '';
+      } else if (e.target.id === 'coros-ramp-threshold') {
+        handleRampThresholdChange(e.target.value);
+      } else if (e.target.id === 'coros-stats-period') {
+        handleStatisticsPeriodChange(e.target.value);
+      } else if (e.target.id === 'coros-stats-start' || e.target.id === 'coros-stats-end') {
+        handleCustomRangeChange();
+      } else if (e.target.closest('.coros-sport-filter')) {
+        handleSportFilterChange(e.target.closest('.coros-sport-filter'));
       }
     });
   }
@@ -240,10 +285,29 @@
     }
   }
 
-  // Handle calendar navigation (prev/next month)
+  // Handle calendar navigation (prev/next month or week, prev/next year in year view)
   function handleCalendarNavigation(action) {
     const currentDate = new Date(extensionState.currentDate);
 
+    if (action === 'prev-period' || action === 'next-period') {
+      shiftStatisticsPeriod(action === 'prev-period' ? -1 : 1);
+      return;
+    }
+
+    if (action === 'prev-year' || action === 'next-year') {
+      currentDate.setFullYear(currentDate.getFullYear() + (action === 'prev-year' ? -1 : 1));
+      extensionState.currentDate = currentDate;
+      loadYearData(currentDate.getFullYear());
+      return;
+    }
+
+    if (extensionState.calendarViewMode === 'week' && extensionState.currentView === 'calendar') {
+      currentDate.setDate(currentDate.getDate() + (action === 'prev' ? -7 : 7));
+      extensionState.currentDate = currentDate;
+      loadWeekData();
+      return;
+    }
+
     if (action === 'prev') {
       currentDate.setMonth(currentDate.getMonth() - 1);
     } else if (action === 'next') {
@@ -275,33 +339,99 @@
     }, 100);
   }
 
-  // Handle view mode change (month/week)
+  // Handle view mode change (month/week/year)
   function handleViewModeChange(mode) {
-    if (extensionState.currentView === 'calendar') {
+    if (extensionState.currentView !== 'calendar') {
+      return;
+    }
+
+    if (mode === 'year') {
+      loadYearData(extensionState.currentDate.getFullYear());
+    } else if (mode === 'week') {
+      extensionState.calendarViewMode = 'week';
+      loadWeekData();
+    } else {
       showCalendarView(mode);
     }
   }
 
-  // Show calendar view
-  function showCalendarView(viewMode = 'month') {
+  // Handle heatmap metric/sport selection in year view
+  function handleHeatmapOptionChange(option, value) {
+    extensionState.heatmapOptions[option] = value;
+    showCalendarView('year');
+  }
+
+  // Toggle the previous-week comparison in the month view weekly totals
+  async function handleWeekCompareChange(checked) {
+    extensionState.compareWeeks = checked;
+    await window.CorosStorage.saveSetting('compareWeeks', checked);
+    showCalendarView();
+  }
+
+  // Pick up a month the service worker synced, if it is loaded here
+  async function handleActivitiesSynced(year, month) {
+    const monthKey = getMonthKey(new Date(year, month, 1));
+    if (!extensionState.activities[monthKey]) {
+      return;
+    }
+
+    const activities = await window.CorosStorage.getActivities(monthKey);
+    if (activities) {
+      await showMonthActivities(monthKey, activities);
+    }
+  }
+
+  // Open the month view for a day picked in the year heatmap
+  function handleHeatmapDaySelect(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    extensionState.currentDate = new Date(year, month - 1, day);
+    extensionState.calendarViewMode = 'month';
+    loadMonthData(year, month - 1);
+  }
+
+  // Show calendar view in the given mode, which then sticks until changed
+  function showCalendarView(viewMode = extensionState.calendarViewMode) {
     const contentContainer = document.getElementById('coros-extension-content');
     const currentDate = extensionState.currentDate;
+    extensionState.calendarViewMode = viewMode;
+
+    // A month that is not loaded yet (e.g. back from another year) is loaded first; loadMonthData renders it
+    if (viewMode === 'month' && extensionState.isInitialized && !extensionState.isLoading &&
+      !extensionState.activities[getMonthKey(currentDate)]) {
+      loadMonthData(currentDate.getFullYear(), currentDate.getMonth());
+      return;
+    }
+
+    const isYearView = viewMode === 'year';
+    const navSuffix = isYearView ? '-year' : '';
+    let title;
+    if (isYearView) {
+      title = currentDate.getFullYear();
+    } else if (viewMode === 'week') {
+      title = formatWeekLabel(window.CorosPreferences.getWeekStart(currentDate));
+    } else {
+      title = window.CorosPreferences.formatDate(currentDate, { month: 'long', year: 'numeric' });
+    }
 
     contentContainer.innerHTML = `
       <div class="coros-calendar-header">
         <div class="coros-calendar-controls">
-          <button class="coros-calendar-nav" data-action="prev">‹ Previous</button>
+          <button class="coros-calendar-nav" data-action="prev${navSuffix}">${t('navPrevious')}</button>
           <h3 class="coros-calendar-title">
-            ${currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            ${title}
           </h3>
-          <button class="coros-calendar-nav" data-action="next">Next ›</button>
+          <button class="coros-calendar-nav" data-action="next${navSuffix}">${t('navNext')}</button>
         </div>
         <div class="coros-view-controls">
-          <button id="coros-refresh-btn" class="coros-calendar-nav">🔄</button>
+          <button id="coros-refresh-btn" class="coros-calendar-nav" data-view="${viewMode}">🔄</button>
+          <span id="coros-sync-age" class="coros-sync-age">${formatSyncAge()}</span>
           <select id="coros-view-mode">
-            <option value="month" ${viewMode === 'month' ? 'selected' : ''}>Month View</option>
-            <option value="week" ${viewMode === 'week' ? 'selected' : ''}>Week View</option>
+            <option value="month" ${viewMode === 'month' ? 'selected' : ''}>${t('viewMonthOption')}</option>
+            <option value="week" ${viewMode === 'week' ? 'selected' : ''}>${t('viewWeekOption')}</option>
+            <option value="year" ${isYearView ? 'selected' : ''}>${t('viewYearOption')}</option>
           </select>
+          ${generateSportFilter()}
+          ${generateExportSelect('calendar', viewMode)}
         </div>
       </div>
       <div id="coros-calendar-grid" class="coros-calendar-grid">
@@ -311,12 +441,32 @@
 
     // Render calendar using calendar.js
     if (window.CorosCalendar) {
-      const activities = extensionState.activities[getMonthKey(currentDate)] || [];
+      let activities;
+      let weekActivities;
+      if (isYearView) {
+        activities = extensionState.yearActivities[currentDate.getFullYear()] || [];
+      } else if (viewMode === 'week') {
+        activities = getWeekActivities(currentDate);
+      } else {
+        activities = extensionState.activities[getMonthKey(currentDate)] || [];
+        weekActivities = getMonthGridMonths(currentDate)
+          .flatMap(month => extensionState.activities[getMonthKey(month)] || []);
+        loadAdjacentMonths(currentDate);
+      }
       window.CorosCalendar.render(
         document.getElementById('coros-calendar-grid'),
         currentDate,
         activities,
-        viewMode
+        viewMode,
+        {
+          ...extensionState.heatmapOptions,
+          goalProgress: extensionState.goalProgress,
+          records: extensionState.records,
+          sportFilter: extensionState.sportFilter,
+          sportGroups: extensionState.sportGroups,
+          compareWeeks: extensionState.compareWeeks,
+          weekActivities: weekActivities
+        }
       );
     }
   }
@@ -325,15 +475,33 @@
   function showStatisticsView() {
     const contentContainer = document.getElementById('coros-extension-content');
     const currentDate = extensionState.currentDate;
+    const period = getStatisticsPeriod();
+    const isMonthPeriod = period.type === 'month';
+    const navAction = isMonthPeriod ? '' : '-period';
 
     contentContainer.innerHTML = `
       <div class="coros-statistics-header">
         <div class="coros-calendar-controls">
-          <button class="coros-calendar-nav" data-action="prev">‹ Previous</button>
+          <button class="coros-calendar-nav" data-action="prev${navAction}">${t('navPrevious')}</button>
           <h3 class="coros-calendar-title">
-            Statistics - ${currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            ${t('statisticsTitle', formatPeriodLabel(period))}
           </h3>
-          <button class="coros-calendar-nav" data-action="next">Next ›</button>
+          <button class="coros-calendar-nav" data-action="next${navAction}">${t('navNext')}</button>
+        </div>
+        <div class="coros-view-controls">
+          <button id="coros-refresh-btn" class="coros-calendar-nav" data-view="statistics">🔄</button>
+          <select id="coros-stats-period">
+            <option value="month" ${period.type === 'month' ? 'selected' : ''}>${t('periodMonth')}</option>
+            <option value="quarter" ${period.type === 'quarter' ? 'selected' : ''}>${t('periodQuarter')}</option>
+            <option value="year" ${period.type === 'year' ? 'selected' : ''}>${t('periodYear')}</option>
+            <option value="custom" ${period.type === 'custom' ? 'selected' : ''}>${t('periodCustom')}</option>
+          </select>
+          ${period.type === 'custom' ? `
+            <input type="date" id="coros-stats-start" value="${formatDateKey(period.start)}">
+            <input type="date" id="coros-stats-end" value="${formatDateKey(period.end)}">
+          ` : ''}
+          ${generateSportFilter()}
+          ${generateExportSelect('statistics', period.type)}
         </div>
       </div>
       <div id="coros-statistics-content" class="coros-statistics-content">
@@ -341,23 +509,469 @@
       </div>
     `;
 
+    const activities = getStatisticsActivities(period);
+
+    // Periods are loaded on demand, the month too when it is not loaded yet (e.g. back from another year)
+    if (!activities && !extensionState.isLoading) {
+      if (isMonthPeriod) {
+        loadMonthData(currentDate.getFullYear(), currentDate.getMonth());
+      } else {
+        loadPeriodData(period);
+      }
+      return;
+    }
+
     // Render statistics using statistics.js
     if (window.CorosStatistics) {
-      const activities = extensionState.activities[getMonthKey(currentDate)] || [];
       window.CorosStatistics.render(
         document.getElementById('coros-statistics-content'),
-        activities,
-        currentDate
+        activities || [],
+        currentDate,
+        period,
+        {
+          goalProgress: extensionState.goalProgress,
+          records: extensionState.records,
+          sportFilter: extensionState.sportFilter,
+          sportGroups: extensionState.sportGroups
+        }
       );
+      renderTrainingLoad(period);
+    }
+  }
+
+  // Render the training load section below the statistics (history comes from cached months)
+  async function renderTrainingLoad(period) {
+    const statisticsContent = document.getElementById('coros-statistics-content');
+    if (!window.CorosTrainingLoad || !statisticsContent) {
+      return;
+    }
+
+    const section = document.createElement('div');
+    section.id = 'coros-training-load';
+    section.className = 'coros-stats-training-load';
+    statisticsContent.appendChild(section);
+
+    try {
+      const today = new Date();
+      const end = period.end > today ? today : period.end;
+      const history = await window.CorosTrainingLoad.loadHistory(period.start, end);
+      const settings = await window.CorosTrainingLoad.getSettings();
+      // Include what is on screen in case the current month was not cached
+      const activities = history.activities.concat(getStatisticsActivities(period) || []);
+      const series = window.CorosTrainingLoad.calculateLoadSeries(activities, period.start, end);
+
+      section.innerHTML = window.CorosTrainingLoad.generateSection(series, settings, history);
+    } catch (error) {
+      console.warn('Failed to render training load:', error);
+      section.remove();
+    }
+  }
+
+  // Handle ramp rate warning threshold change
+  async function handleRampThresholdChange(value) {
+    const threshold = parseFloat(value);
+    if (!(threshold > 0)) {
+      return;
+    }
+
+    await window.CorosTrainingLoad.saveSettings({ rampRateThreshold: threshold });
+    document.getElementById('coros-training-load')?.remove();
+    renderTrainingLoad(getStatisticsPeriod());
+  }
+
+  // Activities loaded for a statistics period (undefined when not loaded yet)
+  function getStatisticsActivities(period) {
+    return period.type === 'month'
+      ? extensionState.activities[getMonthKey(extensionState.currentDate)]
+      : extensionState.periodActivities[getPeriodKey(period)];
+  }
+
+  // Export format picker shown in the calendar and statistics headers
+  function generateExportSelect(scope, view) {
+    if (!window.CorosExport) {
+      return '';
+    }
+
+    const options = Object.entries(window.CorosExport.FORMATS)
+      .map(([key, format]) => `<option value="${key}">${t(format.labelKey)}</option>`)
+      .join('');
+
+    return `
+      <select id="coros-export-format" data-scope="${scope}" data-view="${view}" title="${t('exportTitle')}">
+        <option value="">${t('exportOption')}</option>
+        ${options}
+      </select>
+    `;
+  }
+
+  // Export the activities of the period currently on screen
+  function handleExport(format, { scope, view }) {
+    if (!format || !window.CorosExport) {
+      return;
+    }
+
+    let range;
+    let activities;
+    if (scope === 'statistics') {
+      range = getStatisticsPeriod();
+      activities = getStatisticsActivities(range) || [];
+    } else {
+      const currentDate = extensionState.currentDate;
+      const year = currentDate.getFullYear();
+      const month = currentDate.getMonth();
+
+      if (view === 'year') {
+        range = { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+        activities = extensionState.yearActivities[year] || [];
+      } else {
+        if (view === 'week') {
+          const start = window.CorosPreferences.getWeekStart(currentDate);
+          range = { start: start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6) };
+          activities = getWeekActivities(currentDate);
+        } else {
+          range = { start: new Date(year, month, 1), end: new Date(year, month + 1, 0) };
+          activities = extensionState.activities[getMonthKey(currentDate)] || [];
+        }
+      }
+    }
+
+    const rangeEnd = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() + 1);
+    const selected = activities.filter(activity => {
+      const activityDate = new Date(activity.startTime || activity.date);
+      return activityDate >= range.start && activityDate < rangeEnd &&
+        (!window.CorosSportFilter ||
+          window.CorosSportFilter.matches(activity, extensionState.sportFilter, extensionState.sportGroups));
+    });
+
+    window.CorosExport.exportActivities(selected, {
+      format: format,
+      fileName: `coros-activities_${formatDateKey(range.start)}_${formatDateKey(range.end)}`
+    });
+  }
+
+  // Sport filter dropdown shown in the calendar and statistics headers
+  function generateSportFilter() {
+    if (!window.CorosSportFilter) {
+      return '';
+    }
+
+    const html = window.CorosSportFilter.generateControl(
+      extensionState.sportFilter,
+      extensionState.sportFilterOpen,
+      extensionState.sportGroups
+    );
+    extensionState.sportFilterOpen = false;
+    return html;
+  }
+
+  // Handle a sport filter checkbox change
+  async function handleSportFilterChange(control) {
+    extensionState.sportFilter = window.CorosSportFilter.readControl(control);
+    extensionState.sportFilterOpen = true;
+    await window.CorosSportFilter.saveFilter(extensionState.sportFilter);
+    refreshCurrentView();
+  }
+
+  // Show all sports again
+  async function handleSportFilterClear() {
+    extensionState.sportFilter = { groups: [], codes: [] };
+    await window.CorosSportFilter.saveFilter(extensionState.sportFilter);
+    refreshCurrentView();
+  }
+
+  // Add a sport group from the statistics group editor
+  async function handleAddSportGroup() {
+    const codesInput = document.getElementById('coros-group-codes');
+    const nameInput = document.getElementById('coros-group-name');
+
+    try {
+      await window.CorosSportGroups.addGroup({
+        name: nameInput.value,
+        icon: document.getElementById('coros-group-icon').value,
+        color: document.getElementById('coros-group-color').value,
+        codes: codesInput.value
+      });
+      await reloadSportGroups();
+      showStatisticsView();
+    } catch (error) {
+      console.warn('Failed to add sport group:', error);
+      nameInput.classList.toggle('invalid', !nameInput.value.trim());
+      codesInput.classList.toggle('invalid', window.CorosSportGroups.parseCodes(codesInput.value).length === 0);
+    }
+  }
+
+  // Remove a sport group
+  async function handleRemoveSportGroup(groupId) {
+    await window.CorosSportGroups.removeGroup(groupId);
+    await reloadSportGroups();
+    showStatisticsView();
+  }
+
+  // Restore the default run/bike/swim groups
+  async function handleResetSportGroups() {
+    await window.CorosSportGroups.resetGroups();
+    await reloadSportGroups();
+    showStatisticsView();
+  }
+
+  // Reload the sport groups, and the filter and goal progress that depend on them
+  async function reloadSportGroups() {
+    extensionState.sportGroups = await window.CorosSportGroups.getGroups();
+    if (window.CorosSportFilter) {
+      extensionState.sportFilter = await window.CorosSportFilter.getFilter(extensionState.sportGroups);
+    }
+    await updateGoalProgress();
+  }
+
+  // Re-render whichever view is showing, keeping the calendar view mode
+  function refreshCurrentView() {
+    if (extensionState.currentView === 'calendar') {
+      showCalendarView();
+    } else if (extensionState.currentView === 'statistics') {
+      showStatisticsView();
+    }
+  }
+
+  // Add a goal from the statistics goal form
+  async function handleAddGoal() {
+    const targetInput = document.getElementById('coros-goal-target');
+    const target = parseFloat(targetInput?.value);
+
+    if (!(target > 0)) {
+      targetInput?.classList.add('invalid');
+      return;
+    }
+
+    try {
+      await window.CorosGoals.addGoal({
+        period: document.getElementById('coros-goal-period').value,
+        scope: document.getElementById('coros-goal-scope').value,
+        metric: document.getElementById('coros-goal-metric').value,
+        target: target
+      }, extensionState.sportGroups);
+      await updateGoalProgress();
+      showStatisticsView();
+    } catch (error) {
+      console.warn('Failed to add goal:', error);
+      targetInput?.classList.add('invalid');
     }
   }
 
-  // Refresh data for the current month
-  async function handleRefreshData() {
+  // Remove a goal from the statistics goal list
+  async function handleRemoveGoal(goalId) {
+    await window.CorosGoals.removeGoal(goalId);
+    await updateGoalProgress();
+    showStatisticsView();
+  }
+
+  // Recalculate goal progress for the periods around the current date
+  async function updateGoalProgress() {
+    if (!window.CorosGoals) {
+      return;
+    }
+
+    try {
+      const goals = await window.CorosGoals.getGoals(extensionState.sportGroups);
+      const referenceDate = extensionState.currentDate;
+      const progress = [];
+
+      for (const goal of goals) {
+        const { start, end } = window.CorosGoals.getPeriodRange(goal.period, referenceDate);
+        const activities = await collectActivities(start, end);
+        progress.push(window.CorosGoals.calculateProgress(goal, activities, referenceDate, extensionState.sportGroups));
+      }
+
+      extensionState.goalProgress = progress;
+    } catch (error) {
+      console.warn('Failed to update goal progress:', error);
+    }
+  }
+
+  // Bring personal records up to date with the stored activities (rebuilt only when those changed)
+  async function updateRecords() {
+    if (!window.CorosRecords) {
+      return;
+    }
+
+    try {
+      extensionState.records = await window.CorosRecords.updateRecords();
+    } catch (error) {
+      console.warn('Failed to update records:', error);
+    }
+  }
+
+  // Gather activities for a date range from loaded months, loading missing past months
+  async function collectActivities(start, end) {
+    const today = new Date();
+    const activities = [];
+    const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+    while (cursor <= end && cursor <= today) {
+      const monthKey = getMonthKey(cursor);
+      if (!extensionState.activities[monthKey]) {
+        extensionState.activities[monthKey] = await window.CorosAPI.fetchActivitiesForRange(
+          new Date(cursor.getFullYear(), cursor.getMonth(), 1),
+          new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0)
+        );
+      }
+      activities.push(...extensionState.activities[monthKey]);
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return activities;
+  }
+
+  // Handle statistics period type change (month/quarter/year/custom)
+  function handleStatisticsPeriodChange(type) {
+    const current = getStatisticsPeriod();
+    extensionState.statisticsPeriod = {
+      type: type,
+      // Custom ranges start from whatever was on screen
+      start: type === 'custom' ? current.start : null,
+      end: type === 'custom' ? current.end : null
+    };
+
+    if (type === 'month') {
+      const currentDate = extensionState.currentDate;
+      loadMonthData(currentDate.getFullYear(), currentDate.getMonth());
+    } else {
+      showStatisticsView();
+    }
+  }
+
+  // Handle custom range date inputs
+  function handleCustomRangeChange() {
+    const start = parseDateInput(document.getElementById('coros-stats-start')?.value);
+    const end = parseDateInput(document.getElementById('coros-stats-end')?.value);
+
+    if (!start || !end || start > end) {
+      return;
+    }
+
+    extensionState.statisticsPeriod = { type: 'custom', start: start, end: end };
+    showStatisticsView();
+  }
+
+  // Move a quarter/year/custom statistics period backwards or forwards
+  async function shiftStatisticsPeriod(direction) {
+    const period = getStatisticsPeriod();
+
+    if (period.type === 'custom') {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const length = Math.round((period.end - period.start) / dayMs) + 1;
+      const start = new Date(period.start);
+      const end = new Date(period.end);
+      start.setDate(start.getDate() + direction * length);
+      end.setDate(end.getDate() + direction * length);
+      extensionState.statisticsPeriod = { type: 'custom', start: start, end: end };
+    } else {
+      const currentDate = new Date(extensionState.currentDate);
+      currentDate.setMonth(currentDate.getMonth() + direction * (period.type === 'year' ? 12 : 3));
+      extensionState.currentDate = currentDate;
+      await updateGoalProgress();
+    }
+
+    showStatisticsView();
+  }
+
+  // Resolve the statistics period for the current date and period type
+  function getStatisticsPeriod() {
+    const { type, start, end } = extensionState.statisticsPeriod;
+    const year = extensionState.currentDate.getFullYear();
+    const month = extensionState.currentDate.getMonth();
+
+    if (type === 'quarter') {
+      const quarterStart = Math.floor(month / 3) * 3;
+      return { type, start: new Date(year, quarterStart, 1), end: new Date(year, quarterStart + 3, 0) };
+    } else if (type === 'year') {
+      return { type, start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+    } else if (type === 'custom' && start && end) {
+      return { type, start, end };
+    }
+
+    return { type: type === 'custom' ? 'custom' : 'month', start: new Date(year, month, 1), end: new Date(year, month + 1, 0) };
+  }
+
+  // Label for the week starting on a date, e.g. 'Oct 13 – Oct 19, 2026'
+  function formatWeekLabel(start) {
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+    return `${window.CorosPreferences.formatDate(start, { month: 'short', day: 'numeric' })} – ${window.CorosPreferences.formatDate(end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  }
+
+  // 'Last synced 5 minutes ago' for the month on screen (the older of a week's two months), '' in the year view
+  function formatSyncAge() {
+    if (extensionState.calendarViewMode === 'year') {
+      return '';
+    }
+    const months = extensionState.calendarViewMode === 'week' ? getWeekMonths(extensionState.currentDate) : [extensionState.currentDate];
+    const syncTimes = months.map(month => extensionState.syncTimes[getMonthKey(month)]);
+    if (!syncTimes.every(Boolean)) {
+      return '';
+    }
+
+    const minutes = Math.floor((Date.now() - Math.min(...syncTimes)) / 60000);
+    if (minutes < 1) {
+      return t('syncedJustNow');
+    }
+    const format = new Intl.RelativeTimeFormat(window.CorosPreferences.getLocale(), { numeric: 'auto' });
+    if (minutes < 60) {
+      return t('lastSynced', format.format(-minutes, 'minute'));
+    } else if (minutes < 24 * 60) {
+      return t('lastSynced', format.format(-Math.floor(minutes / 60), 'hour'));
+    }
+    return t('lastSynced', format.format(-Math.floor(minutes / (24 * 60)), 'day'));
+  }
+
+  // Refresh the sync age next to the refresh button without re-rendering the view
+  function updateSyncAge() {
+    const syncAgeElement = document.getElementById('coros-sync-age');
+    if (syncAgeElement) {
+      syncAgeElement.textContent = formatSyncAge();
+    }
+  }
+
+  // Human readable label for a statistics period
+  function formatPeriodLabel(period) {
+    if (period.type === 'quarter') {
+      return t('quarterLabel', [Math.floor(period.start.getMonth() / 3) + 1, period.start.getFullYear()]);
+    } else if (period.type === 'year') {
+      return String(period.start.getFullYear());
+    } else if (period.type === 'custom') {
+      const options = { month: 'short', day: 'numeric', year: 'numeric' };
+      return `${window.CorosPreferences.formatDate(period.start, options)} – ${window.CorosPreferences.formatDate(period.end, options)}`;
+    }
+    return window.CorosPreferences.formatDate(period.start, { month: 'long', year: 'numeric' });
+  }
+
+  // Refresh data for the current month (the week's months in week view, the year in year view)
+  async function handleRefreshData(viewMode) {
     // Immediately show loading indicator for better UX
     setLoadingState(true);
     const currentDate = extensionState.currentDate;
 
+    // Statistics: reload the whole period on screen
+    if (viewMode === 'statistics') {
+      const period = getStatisticsPeriod();
+      if (period.type === 'month') {
+        await loadMonthData(currentDate.getFullYear(), currentDate.getMonth(), true);
+      } else {
+        await loadPeriodData(period, true);
+      }
+      return;
+    }
+
+    if (viewMode === 'year') {
+      await loadYearData(currentDate.getFullYear(), true);
+      return;
+    }
+
+    if (viewMode === 'week') {
+      for (const month of getWeekMonths(currentDate)) {
+        await loadMonthData(month.getFullYear(), month.getMonth(), true);
+      }
+      return;
+    }
+
     console.log('loadMonthData 2')
     await loadMonthData(currentDate.getFullYear(), currentDate.getMonth(), true);
   }
@@ -365,13 +979,83 @@
   // Load initial data
   async function loadInitialData() {
     const currentDate = new Date();
-    
+
+    const preferences = await window.CorosPreferences.load();
+    await window.CorosI18n.load(preferences.language);
+    const extensionContainer = document.getElementById('coros-calendar-extension');
+    if (extensionContainer) {
+      window.CorosI18n.apply(extensionContainer);
+    }
+    // 'auto' follows the COROS page and the OS setting from here on
+    window.CorosTheme.applyAll();
+    window.CorosTheme.watch();
+
+    // A 'year' default starts on the month and switches once the year is loaded (below)
+    extensionState.calendarViewMode = preferences.defaultView === 'week' ? 'week' : 'month';
+    if (preferences.defaultTab !== extensionState.currentView && extensionContainer) {
+      handleTabSwitch(preferences.defaultTab);
+    }
+    // Units, week start, language, locale and theme apply to whatever is showing as soon as they are changed
+    window.CorosPreferences.onChange(async (changed) => {
+      window.CorosTheme.applyAll();
+      await window.CorosI18n.load(changed.language);
+      const container = document.getElementById('coros-calendar-extension');
+      if (container) {
+        window.CorosI18n.apply(container);
+      }
+      await updateGoalProgress();
+      refreshCurrentView();
+    });
+
+    if (window.CorosSportGroups) {
+      extensionState.sportGroups = await window.CorosSportGroups.getGroups();
+    }
+    if (window.CorosSportFilter) {
+      extensionState.sportFilter = await window.CorosSportFilter.getFilter(extensionState.sportGroups);
+    }
+    extensionState.compareWeeks = await window.CorosStorage.getSetting('compareWeeks', false);
+
     console.log('loadMonthData 3')
     await loadMonthData(currentDate.getFullYear(), currentDate.getMonth());
+
+    if (preferences.defaultView === 'year' && extensionState.currentView === 'calendar') {
+      await loadYearData(currentDate.getFullYear());
+    } else if (extensionState.calendarViewMode === 'week') {
+      await loadWeekData();
+    }
+
+    // Run the history backfill in this tab once started from the popup, or pick it up after a closed tab
+    if (window.CorosBackfill) {
+      window.CorosBackfill.watch();
+    }
+
+    // Keep 'last synced N minutes ago' current
+    setInterval(updateSyncAge, 60 * 1000);
+
+    // The service worker syncs the current month in the background and says when it changed
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'activitiesSynced') {
+        handleActivitiesSynced(message.year, message.month);
+      }
+    });
   }
 
+  // Month loads in flight, so views asking for the same month share one load
+  const pendingMonthLoads = new Map();
+
   // Load data for a specific month
-  async function loadMonthData(year, month, forceRefresh = false) {
+  function loadMonthData(year, month, forceRefresh = false) {
+    const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+    if (!forceRefresh && pendingMonthLoads.has(monthKey)) {
+      return pendingMonthLoads.get(monthKey);
+    }
+
+    const load = fetchMonthData(year, month, forceRefresh).finally(() => pendingMonthLoads.delete(monthKey));
+    pendingMonthLoads.set(monthKey, load);
+    return load;
+  }
+
+  async function fetchMonthData(year, month, forceRefresh) {
     const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
     const isCurrentMonth = (year === new Date().getFullYear()) && (month === new Date().getMonth());
 
@@ -382,36 +1066,176 @@
       forceRefresh: forceRefresh
     })
     try {
+      // Stale-while-revalidate: a stored month is shown right away, without the spinner. Past months are
+      // final once stored; the current month is then synced in the background and re-rendered if it changed.
+      const cached = forceRefresh ? null : await window.CorosStorage.getActivities(monthKey);
+      if (cached) {
+        await showMonthActivities(monthKey, cached);
+        if (isCurrentMonth) {
+          revalidateMonth(year, month);
+        }
+        return;
+      }
+
       setLoadingState(true);
 
       let activities;
-      // Only check cache if we are NOT forcing a refresh AND it's NOT the current month.
-      if (!forceRefresh && !isCurrentMonth) {
-        activities = await window.CorosStorage.getActivities(monthKey);
+      // The current month goes through syncMonth, which saves it and records the sync time
+      if (!forceRefresh && isCurrentMonth) {
+        activities = (await window.CorosAPI.syncMonth(year, month)).activities;
+      } else {
+        // Manual refresh, or a month that is not stored yet; refreshMonth saves it, and fails rather than
+        // store activities scraped from the page over the stored copy
+        activities = await window.CorosAPI.refreshMonth(year, month);
       }
 
-      // Fetch if we have a reason to:
-      // 1. Manual refresh was triggered (`forceRefresh`).
-      // 2. It's the current month, which should always be fresh (`isCurrentMonth`).
-      // 3. It's a past month that wasn't in the cache (`activities` is null/undefined).
-      if (forceRefresh || isCurrentMonth || activities === null || typeof activities === 'undefined') {
-        activities = await window.CorosAPI.fetchActivitiesForMonth(year, month);
-        await window.CorosStorage.saveActivities(monthKey, activities);
+      await showMonthActivities(monthKey, activities);
+
+    } catch (error) {
+      console.error('Failed to load month data:', error);
+      showErrorState(t('errorLoadActivities', error.message));
+    } finally {
+      setLoadingState(false);
+    }
+  }
+
+  // Keep a month's activities and when they were synced, then update the view, goals and records.
+  // Goals can load other months over the network and records may be rebuilt from the store, so the month is drawn
+  // first and again once they are done
+  async function showMonthActivities(monthKey, activities) {
+    extensionState.activities[monthKey] = activities;
+    extensionState.syncTimes[monthKey] = await window.CorosStorage.getSyncTime(monthKey);
+    refreshCurrentView();
+    updateGoalsAndRecords();
+  }
+
+  // Recompute goal progress and records in the background, then re-render with them
+  async function updateGoalsAndRecords() {
+    await updateGoalProgress();
+    await updateRecords();
+    refreshCurrentView();
+  }
+
+  // Sync a month shown from storage; re-render only when COROS had changes
+  async function revalidateMonth(year, month) {
+    const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+    try {
+      const result = await window.CorosAPI.syncMonth(year, month);
+      if (result.added + result.updated + result.removed > 0) {
+        await showMonthActivities(monthKey, result.activities);
+      } else {
+        extensionState.syncTimes[monthKey] = await window.CorosStorage.getSyncTime(monthKey);
+        updateSyncAge();
       }
+    } catch (error) {
+      // The stored copy stays on screen; the sync age shows how old it is
+      console.warn(`Failed to revalidate ${monthKey}:`, error);
+    }
+  }
 
-      // Store in state
-      extensionState.activities[monthKey] = activities;
+  // Load the months of the week on screen that are not loaded yet (a week can span two months), then show it
+  async function loadWeekData() {
+    const missingMonths = getWeekMonths(extensionState.currentDate)
+      .filter(month => !extensionState.activities[getMonthKey(month)]);
 
-      // Update current view
+    if (missingMonths.length === 0) {
+      await updateGoalProgress();
       if (extensionState.currentView === 'calendar') {
         showCalendarView();
-      } else if (extensionState.currentView === 'statistics') {
-        showStatisticsView();
       }
+      return;
+    }
+
+    // loadMonthData re-renders the view after each month
+    for (const month of missingMonths) {
+      await loadMonthData(month.getFullYear(), month.getMonth());
+    }
+  }
+
+  // Neighbouring months being loaded for the month view's weekly totals
+  const pendingAdjacentLoads = new Set();
 
+  // The month view's first and last rows reach into the neighbouring months, and the first row compares
+  // with the week before it: load those months quietly and redraw the month once they are in
+  async function loadAdjacentMonths(date) {
+    const today = new Date();
+    const monthKey = getMonthKey(date);
+    const missingMonths = getMonthGridMonths(date).filter(month => {
+      const key = getMonthKey(month);
+      return month <= today && !extensionState.activities[key] && !pendingAdjacentLoads.has(key);
+    });
+    if (missingMonths.length === 0) {
+      return;
+    }
+
+    missingMonths.forEach(month => pendingAdjacentLoads.add(getMonthKey(month)));
+    try {
+      for (const month of missingMonths) {
+        extensionState.activities[getMonthKey(month)] = await window.CorosAPI.fetchActivitiesForRange(
+          month,
+          new Date(month.getFullYear(), month.getMonth() + 1, 0)
+        );
+      }
+      if (extensionState.currentView === 'calendar' && extensionState.calendarViewMode === 'month' &&
+        getMonthKey(extensionState.currentDate) === monthKey) {
+        showCalendarView();
+      }
     } catch (error) {
-      console.error('Failed to load month data:', error);
-      showErrorState(`Failed to load activity data: ${error.message}`);
+      // The weekly totals of the edge rows then only count this month's days
+      console.warn('Failed to load the months around the month view:', error);
+    } finally {
+      missingMonths.forEach(month => pendingAdjacentLoads.delete(getMonthKey(month)));
+    }
+  }
+
+  // Load a whole year (up to today) for the year heatmap
+  async function loadYearData(year, forceRefresh = false) {
+    try {
+      setLoadingState(true);
+
+      const today = new Date();
+      const endDate = year === today.getFullYear() ? today : new Date(year, 11, 31);
+      extensionState.yearActivities[year] = await window.CorosAPI.fetchActivitiesForRange(
+        new Date(year, 0, 1),
+        endDate,
+        { forceRefresh }
+      );
+      await updateGoalProgress();
+      await updateRecords();
+
+      if (extensionState.currentView === 'calendar') {
+        showCalendarView('year');
+      }
+    } catch (error) {
+      console.error('Failed to load year data:', error);
+      showErrorState(t('errorLoadActivities', error.message));
+    } finally {
+      setLoadingState(false);
+    }
+  }
+
+  // Load activities for a quarter/year/custom statistics period
+  async function loadPeriodData(period, forceRefresh = false) {
+    try {
+      setLoadingState(true);
+
+      // A period that has not started yet has no activities; the rest is loaded up to today
+      const today = new Date();
+      extensionState.periodActivities[getPeriodKey(period)] = period.start > today
+        ? []
+        : await window.CorosAPI.fetchActivitiesForRange(
+          period.start,
+          period.end > today ? today : period.end,
+          { forceRefresh }
+        );
+      await updateRecords();
+
+      if (extensionState.currentView === 'statistics') {
+        showStatisticsView();
+      }
+    } catch (error) {
+      console.error('Failed to load period data:', error);
+      showErrorState(t('errorLoadActivities', error.message));
     } finally {
       setLoadingState(false);
     }
@@ -433,10 +1257,10 @@
       contentContainer.innerHTML = `
         <div class="coros-error-state">
           <div class="coros-error-icon">⚠️</div>
-          <h3>Unable to Load Data</h3>
+          <h3>${t('errorTitle')}</h3>
           <p>${message}</p>
           <button onclick="location.reload()" class="coros-retry-btn">
-            Retry
+            ${t('retry')}
           </button>
         </div>
       `;
@@ -449,6 +1273,47 @@
     return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
   }
 
+  // First day of each month the week containing a date falls in (two when it spans a month end)
+  function getWeekMonths(date) {
+    const start = window.CorosPreferences.getWeekStart(date);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+    const months = [new Date(start.getFullYear(), start.getMonth(), 1)];
+    if (end.getMonth() !== start.getMonth()) {
+      months.push(new Date(end.getFullYear(), end.getMonth(), 1));
+    }
+    return months;
+  }
+
+  // First day of the previous, this and the next month: the month view rows and the week before them
+  function getMonthGridMonths(date) {
+    return [-1, 0, 1].map(offset => new Date(date.getFullYear(), date.getMonth() + offset, 1));
+  }
+
+  // Activities of the week containing a date, taken from its loaded months
+  function getWeekActivities(date) {
+    const start = window.CorosPreferences.getWeekStart(date);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    return getWeekMonths(date)
+      .flatMap(month => extensionState.activities[getMonthKey(month)] || [])
+      .filter(activity => {
+        const activityDate = new Date(activity.startTime || activity.date);
+        return activityDate >= start && activityDate < end;
+      });
+  }
+
+  // Get cache key for a statistics period
+  function getPeriodKey(period) {
+    return `${period.type}:${formatDateKey(period.start)}:${formatDateKey(period.end)}`;
+  }
+
+  // Parse a YYYY-MM-DD date input value as a local date
+  function parseDateInput(value) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return isNaN(date) ? null : date;
+  }
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeExtension);
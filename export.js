@@ -0,0 +1,323 @@
+// Data export for COROS Activity Calendar extension
+
+window.CorosExport = (function () {
+    'use strict';
+
+    const { escapeHTML, formatDateKey } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    // Supported export formats; labels are message keys
+    const FORMATS = {
+        'activities-csv': { labelKey: 'exportFormatActivitiesCsv', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        'summary-csv': { labelKey: 'exportFormatSummaryCsv', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        'excel': { labelKey: 'exportFormatExcel', extension: 'xls', mimeType: 'application/vnd.ms-excel' },
+        'ics': { labelKey: 'exportFormatIcs', extension: 'ics', mimeType: 'text/calendar;charset=utf-8' }
+    };
+
+    // Columns of the activity export, in order; headers in the UI language, distances in the preferred
+    // long unit (km or mi)
+    function getActivityColumns(unit) {
+        return [
+            { header: t('exportColumnDate'), value: a => formatLocalDate(a.startTime || a.date) },
+            { header: t('exportColumnStartTime'), value: a => formatLocalTime(a.startTime || a.date) },
+            { header: t('exportColumnName'), value: a => a.name || '' },
+            { header: t('exportColumnType'), value: a => a.type || '' },
+            { header: t('exportColumnSportCode'), value: a => a.code ?? '' },
+            { header: withUnit('detailDistance', unit), value: a => roundTo((parseFloat(a.distance) || 0) / unit.meters, 2) },
+            { header: t('detailDuration'), value: a => formatClock(parseFloat(a.duration) || 0) },
+            { header: t('exportColumnDurationSeconds'), value: a => Math.round(parseFloat(a.duration) || 0) },
+            { header: t('detailCalories'), value: a => a.calories ?? '' },
+            { header: t('detailAvgHr'), value: a => a.avgHr ?? '' },
+            { header: t('exportColumnAvgSpeed'), value: a => a.avgSpeed ?? '' },
+            { header: t('detailTrainingLoad'), value: a => a.trainingLoad ?? '' },
+            { header: t('detailDevice'), value: a => a.device || '' },
+            { header: t('exportColumnActivityId'), value: a => a.id ?? '' }
+        ];
+    }
+
+    // Columns of the per-sport summary, matching the statistics breakdown table
+    function getSummaryColumns(unit) {
+        return [
+            { header: t('columnSport'), value: s => s.name },
+            { header: t('columnActivities'), value: s => s.count },
+            { header: t('columnActiveDays'), value: s => s.activeDays },
+            { header: withUnit('columnTotalDistance', unit), value: s => roundTo(s.totalDistance / unit.meters, 2) },
+            { header: t('columnTotalTime'), value: s => formatClock(s.totalDuration) },
+            { header: withUnit('columnAvgDistance', unit), value: s => roundTo(s.totalDistance / s.count / unit.meters, 2) },
+            { header: t('columnAvgTime'), value: s => formatClock(s.totalDuration / s.count) },
+            { header: t('columnCalories'), value: s => Math.round(s.totalCalories) }
+        ];
+    }
+
+    /**
+     * Export activities as a downloadable file
+     * @param {Array} activities - Normalized activities (as produced by CorosAPI)
+     * @param {Object} options
+     * @param {string} options.format - One of the FORMATS keys
+     * @param {string} options.fileName - File name without extension
+     * @returns {boolean} Whether a file was produced
+     */
+    function exportActivities(activities, options) {
+        const format = FORMATS[options.format];
+        if (!format) {
+            console.warn('Unknown export format:', options.format);
+            return false;
+        }
+
+        const sorted = (activities || [])
+            .slice()
+            .sort((a, b) => new Date(a.startTime || a.date) - new Date(b.startTime || b.date));
+
+        const unit = window.CorosPreferences.getDistanceUnit();
+        let content;
+        if (options.format === 'activities-csv') {
+            content = toCSV(getActivityColumns(unit), sorted);
+        } else if (options.format === 'summary-csv') {
+            content = toCSV(getSummaryColumns(unit), getSportSummary(sorted));
+        } else if (options.format === 'ics') {
+            content = toICalendar(sorted);
+        } else {
+            content = toSpreadsheetXML([
+                { name: t('exportSheetActivities'), columns: getActivityColumns(unit), rows: sorted },
+                { name: t('exportSheetSummary'), columns: getSummaryColumns(unit), rows: getSportSummary(sorted) }
+            ]);
+        }
+
+        downloadFile(content, `${options.fileName}.${format.extension}`, format.mimeType);
+        console.log(`Exported ${sorted.length} activities as ${options.format}`);
+        return true;
+    }
+
+    /**
+     * Per-sport summary rows, reusing the statistics calculation
+     */
+    function getSportSummary(activities) {
+        if (!window.CorosStatistics) {
+            return [];
+        }
+
+        const stats = window.CorosStatistics.calculateStatistics(activities);
+        return Object.values(stats.bySport).sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Build CSV text; prefixed with a BOM so Excel reads UTF-8 (e.g. Chinese activity names)
+     */
+    function toCSV(columns, rows) {
+        const lines = [columns.map(column => escapeCSV(column.header)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => escapeCSV(column.value(row))).join(','));
+        });
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    function escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Keep spreadsheet apps from evaluating user-provided text as formulas
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Build an Excel 2003 XML (SpreadsheetML) workbook, which Excel, Numbers and
+     * LibreOffice open directly without a zip/xlsx library
+     */
+    function toSpreadsheetXML(sheets) {
+        const worksheets = sheets.map(sheet => {
+            const header = `<Row>${sheet.columns.map(column => xmlCell(column.header, 'Header')).join('')}</Row>`;
+            const rows = sheet.rows.map(row =>
+                `<Row>${sheet.columns.map(column => xmlCell(column.value(row))).join('')}</Row>`
+            ).join('\n');
+            return `<Worksheet ss:Name="${escapeHTML(sheet.name)}"><Table>\n${header}\n${rows}\n</Table></Worksheet>`;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+<Styles><Style ss:ID="Header"><Font ss:Bold="1"/></Style></Styles>
+${worksheets}
+</Workbook>
+`;
+    }
+
+    function xmlCell(value, styleId) {
+        const type = typeof value === 'number' && isFinite(value) ? 'Number' : 'String';
+        const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+        const text = value === null || value === undefined ? '' : String(value);
+        return `<Cell${style}><Data ss:Type="${type}">${escapeHTML(text)}</Data></Cell>`;
+    }
+
+    /**
+     * Build an RFC 5545 calendar with one VEVENT per activity
+     */
+    function toICalendar(activities) {
+        const stamp = formatICalDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//COROS Activity Calendar//Activity Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeICalText(t('exportCalendarName'))}`
+        ];
+
+        activities.forEach(activity => {
+            const start = new Date(activity.startTime || activity.date);
+            if (isNaN(start)) {
+                return;
+            }
+            const duration = parseFloat(activity.duration) || 0;
+            const end = new Date(start.getTime() + Math.max(duration, 60) * 1000);
+            const sport = getSportDisplay(activity);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                // COROS labelId keeps the UID stable across repeated exports
+                `UID:${escapeICalText(String(activity.id))}@t.coros.com`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatICalDate(start)}`,
+                `DTEND:${formatICalDate(end)}`,
+                `SUMMARY:${escapeICalText(`${sport.icon} ${activity.name || sport.name}`)}`,
+                `DESCRIPTION:${escapeICalText(buildEventDescription(activity, sport))}`,
+                `CATEGORIES:${escapeICalText(sport.name)}`,
+                `URL:${getActivityUrl(activity)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICalLine).join('\r\n') + '\r\n';
+    }
+
+    function buildEventDescription(activity, sport) {
+        const line = (labelKey, value) => t('exportDescriptionLine', [t(labelKey), value]);
+        const details = [line('detailSport', sport.name)];
+        const distance = parseFloat(activity.distance) || 0;
+        if (distance > 0) {
+            details.push(line('detailDistance', window.CorosPreferences.formatDistance(distance, sport.distanceUnit)));
+        }
+        details.push(line('detailDuration', formatClock(parseFloat(activity.duration) || 0)));
+        if (activity.avgHr) {
+            details.push(line('detailAvgHr', `${activity.avgHr} bpm`));
+        }
+        if (activity.trainingLoad) {
+            details.push(line('detailTrainingLoad', activity.trainingLoad));
+        }
+        if (activity.calories) {
+            details.push(line('detailCalories', activity.calories));
+        }
+        if (activity.device) {
+            details.push(line('detailDevice', activity.device));
+        }
+        details.push(getActivityUrl(activity));
+        return details.join('\n');
+    }
+
+    function getSportDisplay(activity) {
+        const sport = window.CorosSports.getActivitySport(activity);
+        return { icon: sport.icon, name: sport.name, distanceUnit: sport.distanceUnit };
+    }
+
+    function getActivityUrl(activity) {
+        return `https://t.coros.com/activity-detail?labelId=${encodeURIComponent(activity.id)}&sportType=${activity.code ?? ''}`;
+    }
+
+    function formatICalDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function escapeICalText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines at 75 octets without splitting multi-byte characters
+     */
+    function foldICalLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Trigger a browser download for generated content
+     */
+    function downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Utility functions
+     */
+    function formatLocalDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : formatDateKey(date);
+    }
+
+    function formatLocalTime(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    function formatClock(seconds) {
+        const total = Math.round(seconds || 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    }
+
+    // Column header with its unit, e.g. 'Distance (km)'
+    function withUnit(labelKey, unit) {
+        return t('exportColumnWithUnit', [t(labelKey), unit.label]);
+    }
+
+    function roundTo(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round((value || 0) * factor) / factor;
+    }
+
+    // Public API
+    return {
+        exportActivities: exportActivities,
+        FORMATS: FORMATS
+    };
+
+})();
@@ -0,0 +1,303 @@
+// Goal setting and progress tracking for COROS Activity Calendar extension
+
+window.CorosGoals = (function () {
+    'use strict';
+
+    const { escapeHTML } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    const SETTINGS_KEY = 'goals';
+
+    // Goal periods; labels are message keys
+    const GOAL_PERIODS = {
+        week: { labelKey: 'goalPeriodWeek' },
+        month: { labelKey: 'goalPeriodMonth' },
+        year: { labelKey: 'goalPeriodYear' }
+    };
+
+    // Goal metrics; targets are stored in base units (meters, seconds, counts) and entered and shown in
+    // display units, distances in the preferred km or mi. valueKey formats a value with its unit (none for plain counts),
+    // passed as a second substitution when the unit depends on the preferences
+    const GOAL_METRICS = {
+        distance: {
+            labelKey: 'goalMetricDistance',
+            valueKey: 'goalValueDistance',
+            unit: () => window.CorosPreferences.getDistanceUnit().label,
+            toBase: v => v * window.CorosPreferences.getDistanceUnit().meters,
+            fromBase: v => v / window.CorosPreferences.getDistanceUnit().meters
+        },
+        duration: { labelKey: 'goalMetricDuration', valueKey: 'goalValueDuration', toBase: v => v * 3600, fromBase: v => v / 3600 },
+        sessions: { labelKey: 'goalMetricSessions', valueKey: null, toBase: v => v, fromBase: v => v },
+        activeDays: { labelKey: 'goalMetricActiveDays', valueKey: 'goalValueDays', toBase: v => v, fromBase: v => v }
+    };
+
+    /**
+     * Get the saved goals of the current sport groups. Goals of a removed group stay saved but are left out.
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {Promise<Array>} Array of goal objects { id, period, metric, scope, target }
+     */
+    async function getGoals(groups) {
+        const scopes = getScopes(groups);
+        return (await loadGoals()).filter(goal => Boolean(scopes[goal.scope]));
+    }
+
+    /**
+     * Add a goal
+     * @param {Object} goal - { period, metric, scope, target } with target in display units (km or mi, h, count)
+     * @param {Array} [groups] - Sport groups the scope is chosen from (defaults to the built-in groups)
+     * @returns {Promise<Object>} The saved goal
+     */
+    async function addGoal(goal, groups) {
+        const metric = GOAL_METRICS[goal.metric];
+        const target = parseFloat(goal.target);
+        const newGoal = {
+            id: `goal-${Date.now().toString(36)}`,
+            period: goal.period,
+            metric: goal.metric,
+            scope: goal.scope || 'overall',
+            target: metric && target > 0 ? metric.toBase(target) : 0
+        };
+
+        if (!isValidGoal(newGoal) || !getScopes(groups)[newGoal.scope]) {
+            throw new Error('Invalid goal: choose a period, metric and a target above zero');
+        }
+
+        const goals = await loadGoals();
+        // One goal per period/metric/scope combination; a new target replaces the old one
+        const remaining = goals.filter(g =>
+            !(g.period === newGoal.period && g.metric === newGoal.metric && g.scope === newGoal.scope)
+        );
+        remaining.push(newGoal);
+        await window.CorosStorage.saveSetting(SETTINGS_KEY, remaining);
+        return newGoal;
+    }
+
+    /**
+     * Remove a goal
+     * @param {string} goalId - Goal id
+     * @returns {Promise<boolean>} Success status
+     */
+    async function removeGoal(goalId) {
+        const goals = await loadGoals();
+        return window.CorosStorage.saveSetting(SETTINGS_KEY, goals.filter(g => g.id !== goalId));
+    }
+
+    /**
+     * Get the date range a goal period covers around a reference date
+     * @param {string} period - 'week', 'month' or 'year'
+     * @param {Date} date - Reference date
+     * @returns {Object} { start, end } as local dates (end inclusive)
+     */
+    function getPeriodRange(period, date) {
+        const year = date.getFullYear();
+        const month = date.getMonth();
+
+        if (period === 'week') {
+            const start = window.CorosPreferences.getWeekStart(date);
+            return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6) };
+        } else if (period === 'year') {
+            return { start: new Date(year, 0, 1), end: new Date(year, 11, 31) };
+        }
+        return { start: new Date(year, month, 1), end: new Date(year, month + 1, 0) };
+    }
+
+    /**
+     * Calculate progress and end-of-period projection for a goal
+     * @param {Object} goal - Saved goal
+     * @param {Array} activities - Activities covering at least the goal's period
+     * @param {Date} date - Reference date selecting the period
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {Object} Progress { goal, current, target, percent, projected, projectedPercent, start, end }
+     */
+    function calculateProgress(goal, activities, date, groups) {
+        const { start, end } = getPeriodRange(goal.period, date);
+        const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+        const scope = getScopes(groups)[goal.scope];
+        const days = new Set();
+        let current = 0;
+
+        (activities || []).forEach(activity => {
+            const activityDate = new Date(activity.startTime || activity.date);
+            if (activityDate < start || activityDate >= endExclusive) {
+                return;
+            }
+            if (!scope || (scope.group && !window.CorosSportGroups.matches(scope.group, activity.code))) {
+                return;
+            }
+
+            if (goal.metric === 'distance') {
+                current += parseFloat(activity.distance) || 0;
+            } else if (goal.metric === 'duration') {
+                current += parseFloat(activity.duration) || 0;
+            } else if (goal.metric === 'sessions') {
+                current += 1;
+            }
+            days.add(activityDate.toDateString());
+        });
+
+        if (goal.metric === 'activeDays') {
+            current = days.size;
+        }
+
+        // Project at the current pace over the elapsed part of the period
+        const dayMs = 24 * 60 * 60 * 1000;
+        const totalDays = Math.round((endExclusive - start) / dayMs);
+        const now = new Date();
+        let projected = current;
+        if (now < endExclusive && now >= start) {
+            const elapsedDays = Math.max(1, Math.ceil((now - start) / dayMs));
+            projected = goal.metric === 'activeDays'
+                ? Math.min(totalDays, Math.round((current / elapsedDays) * totalDays))
+                : (current / elapsedDays) * totalDays;
+        }
+
+        return {
+            goal: goal,
+            current: current,
+            target: goal.target,
+            percent: Math.round((current / goal.target) * 100),
+            projected: projected,
+            projectedPercent: Math.round((projected / goal.target) * 100),
+            start: start,
+            end: end
+        };
+    }
+
+    /**
+     * Progress bars for the summary card of a scope (and optionally one metric)
+     * @param {Array} progressList - Results of calculateProgress
+     * @param {string} scope - 'overall' or a sport group id
+     * @param {string} [metric] - Only show goals for this metric
+     * @returns {string} HTML
+     */
+    function generateCardProgress(progressList, scope, metric) {
+        return (progressList || [])
+            .filter(p => p.goal.scope === scope && (!metric || p.goal.metric === metric))
+            .map(p => `
+                <div class="coros-goal-progress" title="${describeProgress(p)}">
+                  <div class="coros-goal-progress-label">
+                    ${t('goalProgressLabel', [goalName(p.goal), p.percent])}
+                  </div>
+                  ${generateProgressBar(p)}
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Goals section for the statistics tab: progress list plus the add-goal form
+     * @param {Array} progressList - Results of calculateProgress
+     * @param {Array} [groups] - Sport groups offered as scopes (defaults to the built-in groups)
+     * @returns {string} HTML
+     */
+    function generateGoalsSection(progressList, groups) {
+        const scopes = getScopes(groups);
+        const rows = (progressList || []).filter(p => scopes[p.goal.scope]).map(p => {
+            const scope = scopes[p.goal.scope];
+            return `
+              <div class="coros-goal-item">
+                <div class="coros-goal-header">
+                  <span>${escapeHTML(scope.icon)} ${escapeHTML(scope.label)} · ${goalName(p.goal)}</span>
+                  <button class="coros-goal-remove" data-goal-id="${p.goal.id}" title="${t('goalRemove')}">✕</button>
+                </div>
+                ${generateProgressBar(p)}
+                <div class="coros-goal-detail">${describeProgress(p)}</div>
+              </div>
+            `;
+        }).join('');
+
+        const options = (items) => Object.entries(items)
+            .map(([key, item]) => `<option value="${escapeHTML(key)}">${escapeHTML(item.label || t(item.labelKey))}</option>`)
+            .join('');
+
+        return `
+            <div class="coros-stats-goals">
+              <h3>${t('goalsTitle')}</h3>
+              <div class="coros-goals-list">
+                ${rows || `<div class="coros-empty-state"><p>${t('goalsEmpty')}</p></div>`}
+              </div>
+              <div class="coros-goal-form">
+                <select id="coros-goal-period">${options(GOAL_PERIODS)}</select>
+                <select id="coros-goal-scope">${options(scopes)}</select>
+                <select id="coros-goal-metric">${options(GOAL_METRICS)}</select>
+                <input type="number" id="coros-goal-target" min="0" step="any" placeholder="${t('goalTargetPlaceholder', GOAL_METRICS.distance.unit())}">
+                <button id="coros-goal-add" class="coros-goal-add-btn">${t('goalAdd')}</button>
+              </div>
+            </div>
+        `;
+    }
+
+    function generateProgressBar(progress) {
+        const width = Math.min(100, progress.percent);
+        const projectedWidth = Math.min(100, progress.projectedPercent);
+        const status = progress.percent >= 100 ? 'done' : (progress.projectedPercent >= 100 ? 'on-track' : 'behind');
+        return `
+            <div class="coros-goal-bar ${status}">
+              <div class="coros-goal-bar-projected" style="width: ${projectedWidth}%"></div>
+              <div class="coros-goal-bar-fill" style="width: ${width}%"></div>
+            </div>
+        `;
+    }
+
+    function describeProgress(progress) {
+        const text = `${formatValue(progress.goal.metric, progress.current)} / ${formatValue(progress.goal.metric, progress.target)} (${progress.percent}%)`;
+        if (progress.projected === progress.current) {
+            return text;
+        }
+        return t('goalOnPace', [text, formatValue(progress.goal.metric, progress.projected), progress.projectedPercent]);
+    }
+
+    // e.g. 'Monthly distance'
+    function goalName(goal) {
+        return t('goalName', [t(GOAL_PERIODS[goal.period].labelKey), t(GOAL_METRICS[goal.metric].labelKey).toLowerCase()]);
+    }
+
+    function formatValue(metricKey, value) {
+        const metric = GOAL_METRICS[metricKey];
+        const displayValue = metric.fromBase(value);
+        const rounded = displayValue >= 100 || Number.isInteger(displayValue)
+            ? Math.round(displayValue)
+            : displayValue.toFixed(1);
+        if (!metric.valueKey) {
+            return String(rounded);
+        }
+        return t(metric.valueKey, metric.unit ? [rounded, metric.unit()] : rounded);
+    }
+
+    // Overall (all activities) plus one scope per sport group, by id
+    function getScopes(groups) {
+        const scopes = { overall: { label: t('goalScopeAll'), icon: '⚡' } };
+        (groups || window.CorosSports.getSportGroups()).forEach(group => {
+            scopes[group.id] = { label: window.CorosSportGroups.getGroupName(group), icon: group.icon, group: group };
+        });
+        return scopes;
+    }
+
+    // All saved goals, including those of removed sport groups
+    async function loadGoals() {
+        if (!window.CorosStorage) {
+            return [];
+        }
+        const goals = await window.CorosStorage.getSetting(SETTINGS_KEY, []);
+        return Array.isArray(goals) ? goals.filter(isValidGoal) : [];
+    }
+
+    function isValidGoal(goal) {
+        return Boolean(goal) &&
+            Boolean(GOAL_PERIODS[goal.period]) &&
+            Boolean(GOAL_METRICS[goal.metric]) &&
+            typeof goal.scope === 'string' && goal.scope !== '' &&
+            goal.target > 0;
+    }
+
+    // Public API
+    return {
+        getGoals: getGoals,
+        addGoal: addGoal,
+        removeGoal: removeGoal,
+        getPeriodRange: getPeriodRange,
+        calculateProgress: calculateProgress,
+        generateCardProgress: generateCardProgress,
+        generateGoalsSection: generateGoalsSection
+    };
+
+})();
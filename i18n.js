@@ -0,0 +1,123 @@
+// UI string lookup for COROS Activity Calendar extension
+// Messages live in _locales/<language>/messages.json; the language follows the options page or the browser
+
+window.CorosI18n = (function () {
+    'use strict';
+
+    const FALLBACK_LANGUAGE = 'en';
+
+    // Supported _locales folders and the date locale used with each
+    const LANGUAGES = {
+        en: { dateLocale: 'en-US' },
+        zh_TW: { dateLocale: 'zh-TW' }
+    };
+
+    let language = detectBrowserLanguage();
+    let messages = null; // null until load() has resolved; chrome.i18n answers in the browser language until then
+    let fallbackMessages = null;
+
+    /**
+     * Load the messages for the preferred language
+     * @param {string} [preferred] - 'en', 'zh_TW' or '' to follow the browser
+     * @returns {Promise<string>} The language in use
+     */
+    async function load(preferred) {
+        language = LANGUAGES[preferred] ? preferred : detectBrowserLanguage();
+
+        try {
+            messages = await fetchMessages(language);
+            fallbackMessages = language === FALLBACK_LANGUAGE ? messages : await fetchMessages(FALLBACK_LANGUAGE);
+        } catch (error) {
+            console.warn('Could not load messages, using the browser language:', error);
+            messages = null;
+            fallbackMessages = null;
+        }
+        return language;
+    }
+
+    /**
+     * Look up a message
+     * @param {string} key - Message name in messages.json
+     * @param {Array|string|number} [substitutions] - Values for $1, $2, ...
+     * @returns {string} The message, or the key itself when it does not exist
+     */
+    function t(key, substitutions) {
+        const values = substitutions === undefined ? [] : [].concat(substitutions).map(String);
+        const entry = (messages && messages[key]) || (fallbackMessages && fallbackMessages[key]);
+
+        if (entry) {
+            return entry.message.replace(/\$(\d)/g, (match, index) => values[index - 1] ?? '');
+        }
+
+        if (typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getMessage) {
+            const message = chrome.i18n.getMessage(key, values);
+            if (message) {
+                return message;
+            }
+        }
+
+        return key;
+    }
+
+    /**
+     * Translate static markup: text of [data-i18n] elements and the attribute named by [data-i18n-attr]
+     * @param {HTMLElement|Document} root - Element to translate
+     */
+    function apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const message = t(element.dataset.i18n);
+            if (element.dataset.i18nAttr) {
+                element.setAttribute(element.dataset.i18nAttr, message);
+            } else {
+                element.textContent = message;
+            }
+        });
+    }
+
+    /**
+     * Language in use
+     * @returns {string} 'en' or 'zh_TW'
+     */
+    function getLanguage() {
+        return language;
+    }
+
+    /**
+     * Date locale matching the language in use, for Intl formatting
+     * @returns {string} e.g. 'zh-TW'
+     */
+    function getDateLocale() {
+        return LANGUAGES[language].dateLocale;
+    }
+
+    function detectBrowserLanguage() {
+        const browserLanguage = (typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getUILanguage)
+            ? chrome.i18n.getUILanguage()
+            : navigator.language;
+
+        // Traditional Chinese locales (zh-TW, zh-HK, zh-Hant-*) use zh_TW
+        return /^zh-(TW|HK|MO|Hant)/i.test(browserLanguage || '') ? 'zh_TW' : FALLBACK_LANGUAGE;
+    }
+
+    async function fetchMessages(lang) {
+        const url = (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL)
+            ? chrome.runtime.getURL(`_locales/${lang}/messages.json`)
+            : `_locales/${lang}/messages.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${lang} messages`);
+        }
+        return response.json();
+    }
+
+    // Public API
+    return {
+        LANGUAGES: LANGUAGES,
+        load: load,
+        t: t,
+        apply: apply,
+        getLanguage: getLanguage,
+        getDateLocale: getDateLocale
+    };
+
+})();
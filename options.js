@@ -0,0 +1,40 @@
+// Options page script for COROS Activity Calendar extension
+
+document.addEventListener('DOMContentLoaded', async function () {
+    const t = window.CorosI18n.t;
+    const form = document.getElementById('options');
+    const statusElement = document.getElementById('status');
+    let preferences = await window.CorosPreferences.load();
+
+    // Translate and theme the page and fill each select from the allowed values, selecting the saved one
+    async function renderForm() {
+        await window.CorosI18n.load(preferences.language);
+        window.CorosI18n.apply(document);
+        window.CorosTheme.apply(document.documentElement);
+
+        Object.entries(window.CorosPreferences.CHOICES).forEach(([key, choices]) => {
+            const select = form.elements[key];
+            select.innerHTML = choices.map(choice =>
+                `<option value="${choice.value}" ${choice.value === preferences[key] ? 'selected' : ''}>${choice.messageKey ? t(choice.messageKey) : choice.label}</option>`
+            ).join('');
+        });
+    }
+
+    // Save on every change; open COROS tabs pick the change up through chrome.storage.onChanged
+    form.addEventListener('change', async function (e) {
+        const key = e.target.name;
+        const value = key === 'weekStart' ? Number(e.target.value) : e.target.value;
+        const saved = await window.CorosPreferences.save({ [key]: value });
+        preferences = window.CorosPreferences.get();
+
+        if (key === 'language') {
+            await renderForm();
+        } else if (key === 'theme') {
+            window.CorosTheme.apply(document.documentElement);
+        }
+        statusElement.textContent = saved ? t('optionsSaved') : t('optionsSaveFailed');
+        statusElement.className = saved ? 'status' : 'status error';
+    });
+
+    await renderForm();
+});
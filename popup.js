@@ -1,8 +1,15 @@
 // Popup script for COROS Activity Calendar extension
 
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
+    const t = window.CorosI18n.t;
     const statusElement = document.getElementById('status');
     const refreshBtn = document.getElementById('refreshBtn');
+    const optionsBtn = document.getElementById('optionsBtn');
+    const backfillStatus = document.getElementById('backfillStatus');
+    const backfillProgress = document.getElementById('backfillProgress');
+    const backfillBar = document.getElementById('backfillBar');
+    const backfillBtn = document.getElementById('backfillBtn');
+    let backfillState = null;
 
     // Check if we're on a COROS domain
     function checkCurrentPage() {
@@ -11,10 +18,10 @@ document.addEventListener('DOMContentLoaded', function () {
             const url = currentTab.url;
 
             if (url && (url.includes('coros.com') || url.includes('t.coros.com'))) {
-                statusElement.textContent = 'Extension active on COROS website';
+                statusElement.textContent = t('popupStatusActive');
                 statusElement.className = 'status active';
             } else {
-                statusElement.textContent = 'Please visit COROS website to use extension';
+                statusElement.textContent = t('popupStatusVisit');
                 statusElement.className = 'status inactive';
             }
         });
@@ -29,22 +36,74 @@ document.addEventListener('DOMContentLoaded', function () {
                 // Inject content scripts
                 chrome.scripting.executeScript({
                     target: { tabId: currentTab.id },
-                    files: ['storage.js', 'api.js', 'calendar.js', 'statistics.js', 'content.js']
+                    files: ['storage.js', 'preferences.js', 'i18n.js', 'theme.js', 'sport-registry.js', 'api.js', 'backfill.js', 'goals.js', 'records.js', 'sport-filter.js', 'sport-groups.js', 'calendar.js', 'statistics.js', 'training-load.js', 'export.js', 'content.js']
                 }).then(() => {
-                    statusElement.textContent = 'Extension refreshed successfully';
+                    statusElement.textContent = t('popupStatusRefreshed');
                     statusElement.className = 'status active';
                 }).catch((error) => {
                     console.error('Failed to refresh extension:', error);
-                    statusElement.textContent = 'Failed to refresh extension';
+                    statusElement.textContent = t('popupStatusRefreshFailed');
                     statusElement.className = 'status inactive';
                 });
             } else {
-                statusElement.textContent = 'Please navigate to COROS website first';
+                statusElement.textContent = t('popupStatusNavigateFirst');
                 statusElement.className = 'status inactive';
             }
         });
     });
 
-    // Check current page on popup open
+    // Units, week start, locale and defaults
+    optionsBtn.addEventListener('click', function () {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // History backfill: the job runs in a COROS tab, the popup starts, pauses and follows it
+    function renderBackfill(state) {
+        backfillState = state;
+        const counts = state ? [state.monthsDone, state.activitiesFound] : [];
+        const progress = window.CorosBackfill.getProgress(state);
+
+        if (!state) {
+            backfillStatus.textContent = t('popupBackfillIdle');
+        } else if (state.status === 'running') {
+            const key = window.CorosBackfill.isAttended(state) ? 'popupBackfillRunning' : 'popupBackfillWaiting';
+            backfillStatus.textContent = t(key, counts);
+        } else if (state.status === 'done') {
+            backfillStatus.textContent = t('popupBackfillDone', counts);
+        } else if (state.status === 'error') {
+            backfillStatus.textContent = t('popupBackfillError', state.error);
+        } else {
+            backfillStatus.textContent = t('popupBackfillStopped', counts);
+        }
+
+        backfillProgress.hidden = progress === null;
+        backfillBar.style.width = `${Math.round((progress || 0) * 100)}%`;
+
+        if (state && state.status === 'running') {
+            backfillBtn.textContent = t('popupBackfillPause');
+        } else if (state && state.status !== 'done') {
+            backfillBtn.textContent = t('popupBackfillResume');
+        } else {
+            backfillBtn.textContent = t('popupBackfillStart');
+        }
+    }
+
+    backfillBtn.addEventListener('click', async function () {
+        if (backfillState && backfillState.status === 'running') {
+            await window.CorosBackfill.stop();
+        } else {
+            await window.CorosBackfill.start();
+        }
+        renderBackfill(await window.CorosBackfill.getState());
+    });
+
+    window.CorosBackfill.onChange(renderBackfill);
+
+    // Translate the static text in the preferred language and theme, then check current page on popup open
+    const preferences = await window.CorosPreferences.load();
+    await window.CorosI18n.load(preferences.language);
+    window.CorosI18n.apply(document);
+    window.CorosTheme.apply(document.documentElement);
     checkCurrentPage();
+    renderBackfill(await window.CorosBackfill.getState());
 });
\ No newline at end of file
@@ -0,0 +1,297 @@
+// User preferences (units, week start, language, locale, theme, defaults) for COROS Activity Calendar extension
+// Loaded by the content scripts and by the options page; stored in chrome.storage.sync
+
+window.CorosPreferences = (function () {
+    'use strict';
+
+    const STORAGE_KEY = 'coros_preferences';
+
+    const DEFAULTS = {
+        units: 'metric', // 'metric' or 'imperial'
+        weekStart: 0, // 0 = Sunday, 1 = Monday
+        language: '', // UI language ('en' or 'zh_TW'); '' follows the browser
+        locale: '', // BCP 47 tag for dates; '' matches the UI language
+        theme: 'auto', // 'light', 'dark' or 'auto' to follow the COROS page and the OS
+        defaultView: 'month', // 'month', 'week' or 'year'
+        defaultTab: 'calendar' // 'calendar' or 'statistics'
+    };
+
+    // Allowed values for each preference, used by the options page and to validate stored data.
+    // messageKey labels are translated with CorosI18n; language names stay in their own language.
+    const CHOICES = {
+        units: [
+            { value: 'metric', messageKey: 'optionUnitsMetric' },
+            { value: 'imperial', messageKey: 'optionUnitsImperial' }
+        ],
+        weekStart: [
+            { value: 0, messageKey: 'optionSunday' },
+            { value: 1, messageKey: 'optionMonday' }
+        ],
+        language: [
+            { value: '', messageKey: 'optionBrowserDefault' },
+            { value: 'en', label: 'English' },
+            { value: 'zh_TW', label: '繁體中文' }
+        ],
+        locale: [
+            { value: '', messageKey: 'optionSameAsLanguage' },
+            { value: 'en-US', label: 'English (US)' },
+            { value: 'en-GB', label: 'English (UK)' },
+            { value: 'zh-TW', label: '中文 (台灣)' },
+            { value: 'zh-CN', label: '中文 (中国)' },
+            { value: 'ja-JP', label: '日本語' },
+            { value: 'de-DE', label: 'Deutsch' },
+            { value: 'fr-FR', label: 'Français' },
+            { value: 'es-ES', label: 'Español' }
+        ],
+        theme: [
+            { value: 'auto', messageKey: 'optionThemeAuto' },
+            { value: 'light', messageKey: 'optionThemeLight' },
+            { value: 'dark', messageKey: 'optionThemeDark' }
+        ],
+        defaultView: [
+            { value: 'month', messageKey: 'viewMonth' },
+            { value: 'week', messageKey: 'viewWeek' },
+            { value: 'year', messageKey: 'viewYear' }
+        ],
+        defaultTab: [
+            { value: 'calendar', messageKey: 'tabCalendar' },
+            { value: 'statistics', messageKey: 'tabStatistics' }
+        ]
+    };
+
+    // Long and short distance units and speed label per unit system
+    const UNIT_SYSTEMS = {
+        metric: {
+            long: { label: 'km', meters: 1000 },
+            short: { label: 'm', meters: 1 },
+            speed: 'km/h'
+        },
+        imperial: {
+            long: { label: 'mi', meters: 1609.344 },
+            short: { label: 'yd', meters: 0.9144 },
+            speed: 'mph'
+        }
+    };
+
+    // Last loaded preferences, so renderers can read them synchronously
+    let current = { ...DEFAULTS };
+
+    /**
+     * Load preferences from storage into the in-memory copy
+     * @returns {Promise<Object>} Preferences
+     */
+    async function load() {
+        try {
+            let stored;
+            if (hasSyncStorage()) {
+                stored = await chromeSyncGet(STORAGE_KEY);
+            } else {
+                const rawData = localStorage.getItem(STORAGE_KEY);
+                stored = rawData ? JSON.parse(rawData) : undefined;
+            }
+            current = normalize(stored);
+        } catch (error) {
+            console.error('Error loading preferences:', error);
+        }
+        return current;
+    }
+
+    /**
+     * Current preferences (defaults until load() has resolved)
+     * @returns {Object} { units, weekStart, language, locale, theme, defaultView, defaultTab }
+     */
+    function get() {
+        return current;
+    }
+
+    /**
+     * Save preferences
+     * @param {Object} preferences - Full or partial preferences
+     * @returns {Promise<boolean>} Success status
+     */
+    async function save(preferences) {
+        try {
+            const next = normalize(preferences, current);
+            if (hasSyncStorage()) {
+                await chromeSyncSet(STORAGE_KEY, next);
+            } else {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+            }
+            current = next;
+            return true;
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Call back whenever preferences change in any extension page or synced browser
+     * @param {Function} callback - Receives the new preferences
+     */
+    function onChange(callback) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+            return;
+        }
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync' || !changes[STORAGE_KEY]) {
+                return;
+            }
+            current = normalize(changes[STORAGE_KEY].newValue);
+            callback(current);
+        });
+    }
+
+    /**
+     * Short weekday names in the date locale, starting on the preferred first day of the week
+     * @returns {Array} e.g. ['Mon', 'Tue', ..., 'Sun']
+     */
+    function getWeekdays() {
+        // 2023-01-01 was a Sunday
+        return Array.from({ length: 7 }, (_, i) =>
+            formatDate(new Date(2023, 0, 1 + current.weekStart + i), { weekday: 'short' }));
+    }
+
+    /**
+     * First day (midnight) of the week containing a date, honoring the week start preference
+     * @param {Date} date - Any date
+     * @returns {Date} Week start
+     */
+    function getWeekStart(date) {
+        const offset = (date.getDay() - current.weekStart + 7) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    }
+
+    /**
+     * Date locale: the preferred one, otherwise the one matching the UI language
+     * @returns {string|undefined} BCP 47 tag (undefined lets the browser decide)
+     */
+    function getLocale() {
+        return current.locale || (window.CorosI18n ? window.CorosI18n.getDateLocale() : undefined);
+    }
+
+    /**
+     * Format a date with the preferred locale
+     * @param {Date} date - Date
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    function formatDate(date, options) {
+        return date.toLocaleDateString(getLocale(), options);
+    }
+
+    /**
+     * Format a time of day with the preferred locale
+     * @param {Date} date - Date
+     * @returns {string} e.g. '07:30 AM'
+     */
+    function formatTime(date) {
+        return date.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Format a distance in the preferred units: km/mi from one long unit up, m/yd below
+     * @param {number} meters - Distance in meters
+     * @param {string} [unit] - Sport distance unit from CorosSports; 'm' keeps swims in m/yd
+     * @param {string} [separator] - Between number and unit (' ' by default)
+     * @returns {string} e.g. '12.3 km', '1500 m', '7.6 mi'
+     */
+    function formatDistance(meters, unit, separator = ' ') {
+        const system = UNIT_SYSTEMS[current.units];
+        if (meters >= system.long.meters && unit !== 'm') {
+            return `${(meters / system.long.meters).toFixed(1)}${separator}${system.long.label}`;
+        }
+        return `${Math.round(meters / system.short.meters)}${separator}${system.short.label}`;
+    }
+
+    /**
+     * Distance unit of the preferred unit system, for values shown as plain numbers
+     * @param {string} [size] - 'long' (km or mi, the default) or 'short' (m or yd)
+     * @returns {Object} { label, meters }
+     */
+    function getDistanceUnit(size = 'long') {
+        return { ...UNIT_SYSTEMS[current.units][size] };
+    }
+
+    /**
+     * Format average pace or speed in the preferred units
+     * @param {string} style - 'pace-km' (min/km or min/mi), 'pace-100m' (min/100m or min/100yd) or 'speed' (km/h or mph)
+     * @param {number} meters - Distance in meters
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted pace, '' when it cannot be computed
+     */
+    function formatPace(style, meters, seconds) {
+        if (!style || !meters || meters < 1 || !seconds || seconds < 1) return '';
+
+        const system = UNIT_SYSTEMS[current.units];
+        if (style === 'speed') {
+            return `${((meters / system.long.meters) / (seconds / 3600)).toFixed(1)} ${system.speed}`;
+        }
+
+        const perUnit = style === 'pace-100m' ? 100 * system.short.meters : system.long.meters;
+        const paceSeconds = Math.round(seconds / (meters / perUnit));
+        const unitLabel = style === 'pace-100m' ? `/100${system.short.label}` : `/${system.long.label}`;
+        return `${Math.floor(paceSeconds / 60)}:${String(paceSeconds % 60).padStart(2, '0')} ${unitLabel}`;
+    }
+
+    // Keep the valid values of `stored`, taking the rest from `fallback`
+    function normalize(stored, fallback = DEFAULTS) {
+        const preferences = { ...fallback };
+        if (!stored || typeof stored !== 'object') {
+            return preferences;
+        }
+        Object.keys(CHOICES).forEach(key => {
+            if (CHOICES[key].some(choice => choice.value === stored[key])) {
+                preferences[key] = stored[key];
+            }
+        });
+        return preferences;
+    }
+
+    function hasSyncStorage() {
+        return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+    }
+
+    function chromeSyncGet(key) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.sync.get([key], (result) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(result[key]);
+                }
+            });
+        });
+    }
+
+    function chromeSyncSet(key, value) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.sync.set({ [key]: value }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Public API
+    return {
+        DEFAULTS: DEFAULTS,
+        CHOICES: CHOICES,
+        load: load,
+        get: get,
+        save: save,
+        onChange: onChange,
+        getWeekdays: getWeekdays,
+        getWeekStart: getWeekStart,
+        getLocale: getLocale,
+        formatDate: formatDate,
+        formatTime: formatTime,
+        formatDistance: formatDistance,
+        getDistanceUnit: getDistanceUnit,
+        formatPace: formatPace
+    };
+
+})();
@@ -0,0 +1,336 @@
+// Personal records and best efforts for COROS Activity Calendar extension
+
+window.CorosRecords = (function () {
+    'use strict';
+
+    const { escapeHTML, formatDateKey } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    const SETTINGS_KEY = 'records';
+
+    // Distance bands used for pace records, per built-in sport group; labelKey names bands that are not just a distance
+    const RECORD_BANDS = {
+        run: [
+            { key: '5k', label: '5K', min: 5000 },
+            { key: '10k', label: '10K', min: 10000 },
+            { key: 'half', labelKey: 'recordBandHalf', min: 21097 },
+            { key: 'marathon', labelKey: 'recordBandMarathon', min: 42195 }
+        ],
+        bike: [
+            { key: '20k', label: '20 km', min: 20000 },
+            { key: '50k', label: '50 km', min: 50000 },
+            { key: '100k', label: '100 km', min: 100000 }
+        ],
+        swim: [
+            { key: '400m', label: '400 m', min: 400 },
+            { key: '1500m', label: '1500 m', min: 1500 },
+            { key: '3800m', label: '3800 m', min: 3800 }
+        ]
+    };
+
+    // Record scopes: the built-in sport groups of the sport registry, with their distance bands
+    const RECORD_SCOPES = {};
+    window.CorosSports.getSportGroups().forEach(group => {
+        RECORD_SCOPES[group.id] = { ...group, bands: RECORD_BANDS[group.id] || [] };
+    });
+
+    // Record types; labels are message keys, `lower` marks records where the smaller value wins
+    const RECORD_TYPES = {
+        longestDistance: { labelKey: 'recordLongestDistance', badge: '🏆' },
+        longestDuration: { labelKey: 'recordLongestDuration', badge: '🏆' },
+        fastestPace: { labelKey: 'recordFastestPace', badge: '⚡', lower: true },
+        biggestLoadDay: { labelKey: 'recordBiggestLoadDay', badge: '🔥' },
+        biggestWeek: { labelKey: 'recordBiggestWeek', badge: '📈' }
+    };
+
+    // GPS distances come up slightly short, so a 4.95 km run still counts as a 5K
+    const BAND_TOLERANCE = 0.98;
+
+    /**
+     * Get the saved records
+     * @returns {Promise<Object>} Map of record key to record
+     */
+    async function getRecords() {
+        if (!window.CorosStorage) {
+            return {};
+        }
+        const saved = await window.CorosStorage.getSetting(SETTINGS_KEY, {});
+        return saved && saved.records ? saved.records : {};
+    }
+
+    /**
+     * Rebuild the records from all stored activities and save them, when the stored activities (or the week
+     * start, which decides the biggest week) changed since they were last built; the saved ones otherwise.
+     * Records come from the current data only, so an activity deleted or corrected in COROS stops counting.
+     * @returns {Promise<Object>} Map of record key to record
+     */
+    async function updateRecords() {
+        const version = `${await window.CorosStorage.getDataVersion()}|${window.CorosPreferences.get().weekStart}`;
+        const saved = await window.CorosStorage.getSetting(SETTINGS_KEY, {});
+        if (saved && saved.records && saved.dataVersion === version) {
+            return saved.records;
+        }
+
+        const activities = await window.CorosStorage.queryActivities();
+        const records = calculateRecords(activities);
+        await window.CorosStorage.saveSetting(SETTINGS_KEY, { updatedAt: Date.now(), dataVersion: version, records: records });
+        console.log(`Rebuilt ${Object.keys(records).length} personal records from ${activities.length} stored activities`);
+        return records;
+    }
+
+    /**
+     * Calculate records from a list of activities
+     * @param {Array} activities - Activities (duplicates by id are ignored)
+     * @returns {Object} Map of record key to record { key, scope, type, band, value, date, activityId, code, name }
+     */
+    function calculateRecords(activities) {
+        const records = {};
+        const dailyLoad = {};
+        const weeklyDistance = {};
+        const seen = new Set();
+
+        const offer = (record) => {
+            const current = records[record.key];
+            if (!current || isBetter(record, current)) {
+                records[record.key] = record;
+            }
+        };
+
+        (activities || []).forEach(activity => {
+            if (activity.id && seen.has(activity.id)) {
+                return;
+            }
+            seen.add(activity.id);
+
+            const scopeKey = getScopeKey(activity.code);
+            if (!scopeKey) {
+                return;
+            }
+
+            const scope = RECORD_SCOPES[scopeKey];
+            const activityDate = new Date(activity.startTime || activity.date);
+            const date = formatDateKey(activityDate);
+            const distance = parseFloat(activity.distance) || 0;
+            const duration = parseFloat(activity.duration) || 0;
+            const base = {
+                scope: scopeKey,
+                date: date,
+                activityId: activity.id,
+                code: activity.code,
+                name: activity.name || ''
+            };
+
+            if (distance > 0) {
+                offer({ ...base, key: `${scopeKey}:longestDistance`, type: 'longestDistance', value: distance });
+            }
+            if (duration > 0) {
+                offer({ ...base, key: `${scopeKey}:longestDuration`, type: 'longestDuration', value: duration });
+            }
+
+            // Fastest average pace (seconds per meter) within the longest band the activity reaches
+            const band = scope.bands.filter(b => distance >= b.min * BAND_TOLERANCE).pop();
+            if (band && duration > 0) {
+                offer({
+                    ...base,
+                    key: `${scopeKey}:fastestPace:${band.key}`,
+                    type: 'fastestPace',
+                    band: band.key,
+                    value: duration / distance,
+                    distance: distance
+                });
+            }
+
+            const load = parseFloat(activity.trainingLoad) || 0;
+            if (load > 0) {
+                const dayKey = `${scopeKey}|${date}`;
+                dailyLoad[dayKey] = (dailyLoad[dayKey] || 0) + load;
+            }
+
+            if (distance > 0) {
+                const weekStart = window.CorosPreferences.getWeekStart(activityDate);
+                const weekKey = `${scopeKey}|${formatDateKey(weekStart)}`;
+                weeklyDistance[weekKey] = (weeklyDistance[weekKey] || 0) + distance;
+            }
+        });
+
+        Object.entries(dailyLoad).forEach(([dayKey, load]) => {
+            const [scopeKey, date] = dayKey.split('|');
+            offer({ key: `${scopeKey}:biggestLoadDay`, scope: scopeKey, type: 'biggestLoadDay', value: load, date: date });
+        });
+
+        Object.entries(weeklyDistance).forEach(([weekKey, distance]) => {
+            const [scopeKey, date] = weekKey.split('|');
+            offer({ key: `${scopeKey}:biggestWeek`, scope: scopeKey, type: 'biggestWeek', value: distance, date: date });
+        });
+
+        return records;
+    }
+
+    /**
+     * Index records by activity id and by day for badging calendar cells
+     * @param {Object} records - Map of record key to record
+     * @returns {Object} { activities: { id: [labels] }, days: { YYYY-MM-DD: [labels] } }
+     */
+    function getRecordIndex(records) {
+        const index = { activities: {}, days: {} };
+
+        Object.values(records || {}).forEach(record => {
+            const label = describeRecordTitle(record);
+            if (record.activityId) {
+                (index.activities[record.activityId] = index.activities[record.activityId] || []).push(label);
+            } else if (record.type === 'biggestLoadDay') {
+                (index.days[record.date] = index.days[record.date] || []).push(label);
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Badge HTML for a list of record labels
+     * @param {Array} labels - From getRecordIndex
+     * @returns {string} HTML
+     */
+    function generateBadge(labels) {
+        if (!labels || labels.length === 0) {
+            return '';
+        }
+        return `<span class="coros-record-badge" title="${escapeHTML(labels.join('\n'))}">🏆</span>`;
+    }
+
+    /**
+     * Records section for the statistics tab
+     * @param {Object} records - Map of record key to record
+     * @returns {string} HTML
+     */
+    function generateRecordsSection(records) {
+        const groups = Object.entries(RECORD_SCOPES).map(([scopeKey, scope]) => {
+            const scopeRecords = Object.values(records || {})
+                .filter(record => record.scope === scopeKey)
+                .sort((a, b) => sortOrder(a) - sortOrder(b));
+
+            if (scopeRecords.length === 0) {
+                return '';
+            }
+
+            const rows = scopeRecords.map(record => `
+                  <tr>
+                    <td>${recordLabel(record)}</td>
+                    <td>${formatRecordValue(record)}</td>
+                    <td>${record.type === 'biggestWeek' ? t('recordWeekOf', record.date) : record.date}</td>
+                    <td>${record.activityId
+                        ? `<a href="https://t.coros.com/activity-detail?labelId=${record.activityId}&sportType=${record.code}" target="_blank" rel="noopener">${escapeHTML(record.name || t('activityDefaultName'))}</a>`
+                        : ''}</td>
+                  </tr>
+            `).join('');
+
+            return `
+              <div class="coros-records-group">
+                <h4>${scope.icon} ${t(scope.labelKey)}</h4>
+                <table class="coros-stats-table">
+                  <thead>
+                    <tr>
+                      <th>${t('recordColumnRecord')}</th>
+                      <th>${t('recordColumnBest')}</th>
+                      <th>${t('recordColumnDate')}</th>
+                      <th>${t('recordColumnActivity')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${rows}
+                  </tbody>
+                </table>
+              </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="coros-stats-records">
+              <h3>${t('recordsTitle')}</h3>
+              ${groups || `<div class="coros-empty-state"><p>${t('recordsEmpty')}</p></div>`}
+            </div>
+        `;
+    }
+
+    function isBetter(candidate, current) {
+        return RECORD_TYPES[candidate.type].lower
+            ? candidate.value < current.value
+            : candidate.value > current.value;
+    }
+
+    function getScopeKey(code) {
+        const group = window.CorosSports.getSportGroup(code);
+        return group ? group.id : undefined;
+    }
+
+    function sortOrder(record) {
+        const typeOrder = Object.keys(RECORD_TYPES).indexOf(record.type) * 10;
+        if (record.type !== 'fastestPace') {
+            return typeOrder;
+        }
+        return typeOrder + RECORD_SCOPES[record.scope].bands.findIndex(b => b.key === record.band);
+    }
+
+    function recordLabel(record) {
+        return `${RECORD_TYPES[record.type].badge} ${recordName(record)}`;
+    }
+
+    function recordName(record) {
+        const label = t(RECORD_TYPES[record.type].labelKey);
+        if (record.type !== 'fastestPace') {
+            return label;
+        }
+        const band = RECORD_SCOPES[record.scope].bands.find(b => b.key === record.band);
+        return `${label} · ${band ? band.label || t(band.labelKey) : record.band}+`;
+    }
+
+    function describeRecordTitle(record) {
+        const name = recordName(record);
+        const lowerName = `${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+        return t('recordTitle', [t(RECORD_SCOPES[record.scope].labelKey), lowerName, formatRecordValue(record)]);
+    }
+
+    function formatRecordValue(record) {
+        switch (record.type) {
+            case 'longestDistance':
+            case 'biggestWeek':
+                return formatDistance(record.value);
+            case 'longestDuration':
+                return formatDuration(record.value);
+            case 'fastestPace':
+                return formatPace(RECORD_SCOPES[record.scope].paceStyle, record.value);
+            case 'biggestLoadDay':
+                return t('recordLoadValue', Math.round(record.value));
+            default:
+                return String(record.value);
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    function formatPace(style, secondsPerMeter) {
+        return window.CorosPreferences.formatPace(style, 1000, secondsPerMeter * 1000);
+    }
+
+    function formatDistance(meters) {
+        return window.CorosPreferences.formatDistance(meters);
+    }
+
+    function formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    // Public API
+    return {
+        getRecords: getRecords,
+        updateRecords: updateRecords,
+        calculateRecords: calculateRecords,
+        getRecordIndex: getRecordIndex,
+        generateBadge: generateBadge,
+        generateRecordsSection: generateRecordsSection
+    };
+
+})();
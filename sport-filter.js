@@ -0,0 +1,184 @@
+// Sport filter shared by the calendar and statistics views of COROS Activity Calendar extension
+
+window.CorosSportFilter = (function () {
+    'use strict';
+
+    const { escapeHTML } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    const SETTINGS_KEY = 'sportFilter';
+
+    // Individual COROS sport codes offered in the filter
+    const FILTER_CODES = window.CorosSports.getAllSports().map(sport => ({ code: sport.code, label: sport.name }));
+
+    const EMPTY_FILTER = { groups: [], codes: [] };
+
+    /**
+     * Get the saved sport filter
+     * @param {Array} [groups] - Sport groups from CorosSportGroups; ids of removed groups are dropped
+     *   (defaults to the built-in groups)
+     * @returns {Promise<Object>} { groups: ['run', ...], codes: [102, ...] }; empty lists mean all sports
+     */
+    async function getFilter(groups) {
+        const saved = window.CorosStorage
+            ? await window.CorosStorage.getSetting(SETTINGS_KEY, EMPTY_FILTER)
+            : EMPTY_FILTER;
+        const filter = normalizeFilter(saved);
+        const sportGroups = resolveGroups(groups);
+        return { ...filter, groups: filter.groups.filter(id => sportGroups.some(group => group.id === id)) };
+    }
+
+    /**
+     * Save the sport filter
+     * @param {Object} filter - { groups, codes }
+     * @returns {Promise<boolean>} Success status
+     */
+    async function saveFilter(filter) {
+        return window.CorosStorage.saveSetting(SETTINGS_KEY, normalizeFilter(filter));
+    }
+
+    /**
+     * Whether a filter selects anything (an empty filter shows all sports)
+     * @param {Object} filter - { groups, codes }
+     * @returns {boolean}
+     */
+    function isActive(filter) {
+        return Boolean(filter) && ((filter.groups || []).length > 0 || (filter.codes || []).length > 0);
+    }
+
+    /**
+     * Whether an activity passes the filter: its code is selected, or a selected group contains it
+     * @param {Object} activity - Activity with a COROS `code`
+     * @param {Object} filter - { groups, codes }
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {boolean}
+     */
+    function matches(activity, filter, groups) {
+        if (!isActive(filter)) {
+            return true;
+        }
+        const code = parseInt(activity.code, 10);
+        return (filter.codes || []).includes(code) || resolveGroups(groups).some(group =>
+            (filter.groups || []).includes(group.id) && window.CorosSportGroups.matches(group, code)
+        );
+    }
+
+    /**
+     * Filter a list of activities
+     * @param {Array} activities - Activities
+     * @param {Object} filter - { groups, codes }
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {Array} Activities passing the filter
+     */
+    function apply(activities, filter, groups) {
+        if (!Array.isArray(activities) || !isActive(filter)) {
+            return activities;
+        }
+        const sportGroups = resolveGroups(groups);
+        return activities.filter(activity => matches(activity, filter, sportGroups));
+    }
+
+    /**
+     * Short description of the filter for the control's summary
+     * @param {Object} filter - { groups, codes }
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {string} Plain text
+     */
+    function describe(filter, groups) {
+        if (!isActive(filter)) {
+            return t('filterAllSports');
+        }
+        const labels = [
+            ...resolveGroups(groups)
+                .filter(g => filter.groups.includes(g.id))
+                .map(g => t('filterGroupAll', window.CorosSportGroups.getGroupName(g))),
+            ...FILTER_CODES.filter(c => filter.codes.includes(c.code)).map(c => c.label)
+        ];
+        return labels.length > 2 ? `${labels.slice(0, 2).join(', ')} +${labels.length - 2}` : labels.join(', ');
+    }
+
+    /**
+     * Multi-select dropdown for view headers. Checkboxes carry data-filter-group or data-filter-code.
+     * Each code is listed once, under the first group that contains it.
+     * @param {Object} filter - Current filter
+     * @param {boolean} [open] - Render the dropdown expanded
+     * @param {Array} [groups] - Sport groups from CorosSportGroups (defaults to the built-in groups)
+     * @returns {string} HTML
+     */
+    function generateControl(filter, open, groups) {
+        const sportGroups = resolveGroups(groups);
+        const groupOf = code => window.CorosSportGroups.findGroup(sportGroups, code);
+        const checkbox = (attribute, value, label, checked) => `
+                <label class="coros-sport-filter-option">
+                  <input type="checkbox" ${attribute}="${value}" ${checked ? 'checked' : ''}>
+                  ${label}
+                </label>`;
+
+        const groupsHTML = sportGroups.map(group => {
+            const codes = FILTER_CODES.filter(c => groupOf(c.code) === group);
+            const label = `<strong>${escapeHTML(group.icon)} ${escapeHTML(t('filterGroupOption', window.CorosSportGroups.getGroupName(group)))}</strong>`;
+            return `
+              <fieldset class="coros-sport-filter-group">
+                ${checkbox('data-filter-group', escapeHTML(group.id), label, filter.groups.includes(group.id))}
+                ${codes.map(c => checkbox('data-filter-code', c.code, c.label, filter.codes.includes(c.code))).join('')}
+              </fieldset>
+            `;
+        }).join('');
+
+        const otherCodes = FILTER_CODES.filter(c => !groupOf(c.code));
+
+        return `
+          <details class="coros-sport-filter${isActive(filter) ? ' active' : ''}" ${open ? 'open' : ''}>
+            <summary>🏷️ ${escapeHTML(describe(filter, sportGroups))}</summary>
+            <div class="coros-sport-filter-menu">
+              ${groupsHTML}
+              <fieldset class="coros-sport-filter-group">
+                ${otherCodes.map(c => checkbox('data-filter-code', c.code, c.label, filter.codes.includes(c.code))).join('')}
+              </fieldset>
+              <button id="coros-sport-filter-clear" class="coros-sport-filter-clear" ${isActive(filter) ? '' : 'disabled'}>${t('filterClear')}</button>
+            </div>
+          </details>
+        `;
+    }
+
+    /**
+     * Read the filter from the checked boxes of a rendered control
+     * @param {HTMLElement} control - The .coros-sport-filter element
+     * @returns {Object} { groups, codes }
+     */
+    function readControl(control) {
+        const checked = Array.from(control.querySelectorAll('input[type="checkbox"]:checked'));
+        return normalizeFilter({
+            groups: checked.filter(input => input.dataset.filterGroup).map(input => input.dataset.filterGroup),
+            codes: checked.filter(input => input.dataset.filterCode).map(input => input.dataset.filterCode)
+        });
+    }
+
+    function normalizeFilter(filter) {
+        return {
+            groups: Array.isArray(filter && filter.groups)
+                ? filter.groups.filter(id => typeof id === 'string' && id !== '')
+                : [],
+            codes: Array.isArray(filter && filter.codes)
+                ? filter.codes.map(code => parseInt(code, 10)).filter(code => !isNaN(code))
+                : []
+        };
+    }
+
+    function resolveGroups(groups) {
+        return groups || window.CorosSports.getSportGroups();
+    }
+
+    // Public API
+    return {
+        getFilter: getFilter,
+        saveFilter: saveFilter,
+        isActive: isActive,
+        matches: matches,
+        apply: apply,
+        describe: describe,
+        generateControl: generateControl,
+        readControl: readControl
+    };
+
+})();
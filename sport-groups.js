@@ -0,0 +1,232 @@
+// User-defined sport groups for the summary cards of COROS Activity Calendar extension
+
+window.CorosSportGroups = (function () {
+    'use strict';
+
+    const { escapeHTML, parseTimeToSeconds } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    const SETTINGS_KEY = 'sportGroups';
+
+    // Default groups are the built-in run/bike/swim groups of the sport registry; ids match the goal scopes
+    const DEFAULT_GROUPS = window.CorosSports.getSportGroups();
+
+    /**
+     * Get the configured sport groups
+     * @returns {Promise<Array>} Groups { id, name, icon, color, ranges: [[min, max], ...] }
+     */
+    async function getGroups() {
+        if (!window.CorosStorage) {
+            return DEFAULT_GROUPS;
+        }
+        const groups = await window.CorosStorage.getSetting(SETTINGS_KEY, null);
+        return Array.isArray(groups) ? groups.filter(isValidGroup) : DEFAULT_GROUPS;
+    }
+
+    /**
+     * Add a sport group
+     * @param {Object} group - { name, icon, color, codes } where codes is text such as "400-499, 10000"
+     * @returns {Promise<Object>} The saved group
+     */
+    async function addGroup(group) {
+        const newGroup = {
+            id: `group-${Date.now().toString(36)}`,
+            name: String(group.name || '').trim(),
+            icon: String(group.icon || '').trim() || '⚡',
+            color: /^#[0-9a-f]{6}$/i.test(group.color) ? group.color : '#95A5A6',
+            ranges: parseCodes(group.codes)
+        };
+
+        if (!isValidGroup(newGroup)) {
+            throw new Error('Invalid sport group: enter a name and at least one code or range');
+        }
+
+        const groups = await getGroups();
+        await window.CorosStorage.saveSetting(SETTINGS_KEY, [...groups, newGroup]);
+        return newGroup;
+    }
+
+    /**
+     * Remove a sport group
+     * @param {string} groupId - Group id
+     * @returns {Promise<boolean>} Success status
+     */
+    async function removeGroup(groupId) {
+        const groups = await getGroups();
+        return window.CorosStorage.saveSetting(SETTINGS_KEY, groups.filter(g => g.id !== groupId));
+    }
+
+    /**
+     * Restore the default run/bike/swim groups
+     * @returns {Promise<boolean>} Success status
+     */
+    async function resetGroups() {
+        return window.CorosStorage.saveSetting(SETTINGS_KEY, DEFAULT_GROUPS);
+    }
+
+    /**
+     * Parse code text such as "100-199, 402, 10000" into inclusive ranges
+     * @param {string} text - Comma-separated codes and ranges
+     * @returns {Array} [[min, max], ...]
+     */
+    function parseCodes(text) {
+        return String(text || '')
+            .split(',')
+            .map(part => part.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/))
+            .filter(Boolean)
+            .map(([, min, max]) => {
+                const low = parseInt(min, 10);
+                const high = max !== undefined ? parseInt(max, 10) : low;
+                return [Math.min(low, high), Math.max(low, high)];
+            });
+    }
+
+    /**
+     * Format ranges back to code text
+     * @param {Array} ranges - [[min, max], ...]
+     * @returns {string} e.g. "100-199, 402"
+     */
+    function formatCodes(ranges) {
+        return (ranges || []).map(([min, max]) => (min === max ? String(min) : `${min}-${max}`)).join(', ');
+    }
+
+    /**
+     * Whether a COROS sport code belongs to a group
+     * @param {Object} group - Sport group
+     * @param {number|string} code - COROS sport code
+     * @returns {boolean}
+     */
+    function matches(group, code) {
+        return window.CorosSports.isInGroup(group, code);
+    }
+
+    /**
+     * First group a COROS sport code belongs to, for breakdowns that need each activity in one group only
+     * @param {Array} groups - Sport groups
+     * @param {number|string} code - COROS sport code
+     * @returns {Object|null} Group, or null when the code is in none of them
+     */
+    function findGroup(groups, code) {
+        return (groups || []).find(group => matches(group, code)) || null;
+    }
+
+    /**
+     * Display name: the translated name of a built-in group, otherwise the name it was given
+     * @param {Object} group - Sport group
+     * @returns {string} Plain text (escape it for HTML)
+     */
+    function getGroupName(group) {
+        return group.labelKey ? t(group.labelKey) : group.name;
+    }
+
+    /**
+     * Pace style for a group: its own, otherwise the one shared by every registered sport in its ranges
+     * @param {Object} group - Sport group
+     * @returns {string|null} 'pace-km', 'pace-100m', 'speed' or null when its sports differ
+     */
+    function getPaceStyle(group) {
+        if (group.paceStyle !== undefined) {
+            return group.paceStyle;
+        }
+        const styles = new Set(window.CorosSports.getAllSports()
+            .filter(sport => matches(group, sport.code))
+            .map(sport => sport.paceStyle));
+        return styles.size === 1 ? Array.from(styles)[0] : null;
+    }
+
+    /**
+     * Summarize activities per group. An activity is counted in every group it matches.
+     * @param {Array} activities - Activities with a COROS `code`
+     * @param {Array} [groups] - Sport groups (defaults to DEFAULT_GROUPS)
+     * @returns {Object} Map of group id to { distance, time, count, days, load }
+     */
+    function summarize(activities, groups = DEFAULT_GROUPS) {
+        const summary = {};
+        groups.forEach(group => {
+            summary[group.id] = { distance: 0, time: 0, count: 0, days: new Set(), load: 0 };
+        });
+
+        (activities || []).forEach(activity => {
+            const activityDate = new Date(activity.startTime || activity.date);
+            const day = `${activityDate.getFullYear()}-${activityDate.getMonth() + 1}-${activityDate.getDate()}`;
+
+            groups.filter(group => matches(group, activity.code)).forEach(group => {
+                const g = summary[group.id];
+                g.distance += parseFloat(activity.distance) || 0;
+                g.time += parseTimeToSeconds(activity.duration || 0);
+                g.count += 1;
+                g.days.add(day);
+                g.load += parseFloat(activity.trainingLoad) || 0;
+            });
+        });
+
+        // Convert days Set to count
+        Object.values(summary).forEach(g => {
+            g.days = g.days.size;
+        });
+
+        return summary;
+    }
+
+    /**
+     * Group editor for the statistics tab: current groups plus the add-group form
+     * @param {Array} groups - Sport groups
+     * @returns {string} HTML
+     */
+    function generateEditor(groups) {
+        const rows = groups.map(group => `
+              <div class="coros-group-item" style="border-left: 3px solid ${group.color}">
+                <span class="coros-group-name">${escapeHTML(group.icon)} ${escapeHTML(getGroupName(group))}</span>
+                <span class="coros-group-codes">${formatCodes(group.ranges)}</span>
+                <button class="coros-group-remove" data-group-id="${escapeHTML(group.id)}" title="${t('groupRemove')}">✕</button>
+              </div>
+        `).join('');
+
+        return `
+            <div class="coros-stats-groups">
+              <h3>${t('groupsTitle')}</h3>
+              <p class="coros-groups-help">${t('groupsHelp')}</p>
+              <div class="coros-groups-list">
+                ${rows || `<div class="coros-empty-state"><p>${t('groupsEmpty')}</p></div>`}
+              </div>
+              <div class="coros-goal-form">
+                <input type="text" id="coros-group-icon" maxlength="4" placeholder="${t('groupIconPlaceholder')}" value="⚡">
+                <input type="text" id="coros-group-name" placeholder="${t('groupNamePlaceholder')}">
+                <input type="color" id="coros-group-color" value="#95A5A6">
+                <input type="text" id="coros-group-codes" placeholder="${t('groupCodesPlaceholder')}">
+                <button id="coros-group-add" class="coros-goal-add-btn">${t('groupAdd')}</button>
+                <button id="coros-group-reset" class="coros-group-reset-btn">${t('groupReset')}</button>
+              </div>
+            </div>
+        `;
+    }
+
+    function isValidGroup(group) {
+        return Boolean(group) &&
+            Boolean(group.id) &&
+            Boolean(group.name) &&
+            Array.isArray(group.ranges) &&
+            group.ranges.length > 0;
+    }
+
+    /**
+     * Helper to parse time string (e.g. '1:23:45') to seconds
+     */
+    // Public API
+    return {
+        DEFAULT_GROUPS: DEFAULT_GROUPS,
+        getGroups: getGroups,
+        addGroup: addGroup,
+        removeGroup: removeGroup,
+        resetGroups: resetGroups,
+        parseCodes: parseCodes,
+        formatCodes: formatCodes,
+        matches: matches,
+        findGroup: findGroup,
+        getGroupName: getGroupName,
+        getPaceStyle: getPaceStyle,
+        summarize: summarize,
+        generateEditor: generateEditor
+    };
+
+})();
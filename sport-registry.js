@@ -0,0 +1,233 @@
+// COROS sport-code registry shared by all modules of COROS Activity Calendar extension
+
+self.CorosSports = (function () {
+    'use strict';
+
+    /**
+     * Sports by COROS sportType code.
+     * type: canonical type key, iconClass/iconColor: COROS web iconfont, color: card/cell accent,
+     * distanceUnit: 'km' or 'm' (null when distance is not meaningful), paceStyle: 'pace-km', 'pace-100m', 'speed' or null
+     */
+    const SPORTS = {
+        100: { type: 'running', name: 'Run', icon: '🏃', iconClass: 'icon-outrun', iconColor: 'rgb(248, 192, 50)', color: '#FF6B6B', distanceUnit: 'km', paceStyle: 'pace-km' },
+        101: { type: 'treadmill', name: 'Indoor Run', icon: '🏃', iconClass: 'icon-indoor_run', iconColor: 'rgb(248, 192, 50)', color: '#FF8A80', distanceUnit: 'km', paceStyle: 'pace-km' },
+        102: { type: 'trail_running', name: 'Trail Run', icon: '⛰️', iconClass: 'icon-trailrun', iconColor: 'rgb(248, 192, 50)', color: '#F4511E', distanceUnit: 'km', paceStyle: 'pace-km' },
+        103: { type: 'track_running', name: 'Track Run', icon: '🏟️', iconClass: 'icon-groundrun', iconColor: 'rgb(248, 192, 50)', color: '#FF7043', distanceUnit: 'km', paceStyle: 'pace-km' },
+        104: { type: 'hiking', name: 'Hike', icon: '🥾', iconClass: 'icon-hike', iconColor: 'rgb(250, 225, 60)', color: '#96CEB4', distanceUnit: 'km', paceStyle: 'pace-km' },
+        105: { type: 'mountain_climb', name: 'Mountain Climb', icon: '🧗', iconClass: 'icon-climb', iconColor: 'rgb(48, 201, 202)', color: '#26A69A', distanceUnit: 'km', paceStyle: 'pace-km' },
+        200: { type: 'cycling', name: 'Road Bike', icon: '🚴', iconClass: 'icon-cycle', iconColor: 'rgb(28, 181, 64)', color: '#4ECDC4', distanceUnit: 'km', paceStyle: 'speed' },
+        201: { type: 'indoor_cycling', name: 'Indoor Bike', icon: '🏋️', iconClass: 'icon-indoor_bike', iconColor: 'rgb(28, 181, 64)', color: '#6C7CE0', distanceUnit: 'km', paceStyle: 'speed' },
+        202: { type: 'ebike', name: 'E-Bike', icon: '🚲', iconClass: 'icon-road-ebike', iconColor: 'rgb(28, 181, 64)', color: '#26C6DA', distanceUnit: 'km', paceStyle: 'speed' },
+        203: { type: 'gravel_cycling', name: 'Gravel Bike', icon: '🚵', iconClass: 'icon-gravel-road-riding', iconColor: 'rgb(28, 181, 64)', color: '#4DB6AC', distanceUnit: 'km', paceStyle: 'speed' },
+        204: { type: 'mountain_biking', name: 'Mountain Bike', icon: '🚵', iconClass: 'icon-mountain-riding', iconColor: 'rgb(28, 181, 64)', color: '#009688', distanceUnit: 'km', paceStyle: 'speed' },
+        205: { type: 'emtb', name: 'E-Mountain Bike', icon: '🚵', iconClass: 'icon-mteb', iconColor: 'rgb(28, 181, 64)', color: '#00897B', distanceUnit: 'km', paceStyle: 'speed' },
+        299: { type: 'helmet_cycling', name: 'Helmet Bike', icon: '🚴', iconClass: 'icon-cycle', iconColor: 'rgb(28, 181, 64)', color: '#80CBC4', distanceUnit: 'km', paceStyle: 'speed' },
+        300: { type: 'swimming', name: 'Pool Swim', icon: '🏊', iconClass: 'icon-poolswim', iconColor: 'rgb(48, 112, 255)', color: '#45B7D1', distanceUnit: 'm', paceStyle: 'pace-100m' },
+        301: { type: 'open_water', name: 'Open Water', icon: '🌊', iconClass: 'icon-openwater', iconColor: 'rgb(48, 112, 255)', color: '#1E88E5', distanceUnit: 'm', paceStyle: 'pace-100m' },
+        400: { type: 'aerobic', name: 'Gym Cardio', icon: '⚡', iconClass: 'icon-Indoor_erobics', iconColor: 'rgb(217, 46, 218)', color: '#81C784', distanceUnit: null, paceStyle: null },
+        401: { type: 'outdoor_aerobic', name: 'GPS Cardio', icon: '🤸', iconClass: 'icon-outdoor_aerobics', iconColor: 'rgb(217, 46, 218)', color: '#AED581', distanceUnit: 'km', paceStyle: 'pace-km' },
+        402: { type: 'strength', name: 'Strength', icon: '💪', iconClass: 'icon-strength', iconColor: 'rgb(217, 46, 218)', color: '#FF9FF3', distanceUnit: null, paceStyle: null },
+        800: { type: 'indoor_climb', name: 'Indoor Climb', icon: '🧗', iconClass: 'icon-indoor_climb', iconColor: 'rgb(48, 201, 202)', color: '#4DD0E1', distanceUnit: null, paceStyle: null },
+        801: { type: 'bouldering', name: 'Bouldering', icon: '🧗', iconClass: 'icon-bouldering_w', iconColor: 'rgb(48, 201, 202)', color: '#26C6DA', distanceUnit: null, paceStyle: null },
+        900: { type: 'walking', name: 'Walk', icon: '🚶', iconClass: 'icon-walk', iconColor: 'rgb(250, 225, 60)', color: '#FECA57', distanceUnit: 'km', paceStyle: 'pace-km' },
+        901: { type: 'jump_rope', name: 'Jump Rope', icon: '🪢', iconClass: 'icon-jump', iconColor: 'rgb(217, 46, 218)', color: '#BA68C8', distanceUnit: null, paceStyle: null },
+        10000: { type: 'triathlon', name: 'Triathlon', icon: '🏅', iconClass: 'icon-triathlon', iconColor: 'rgb(255, 159, 64)', color: '#FF9F40', distanceUnit: 'km', paceStyle: null },
+        10003: { type: 'multipitch_climb', name: 'Multi-Pitch Climb', icon: '🧗', iconClass: 'icon-PitchClimb', iconColor: 'rgb(48, 201, 202)', color: '#00ACC1', distanceUnit: null, paceStyle: null }
+    };
+
+    // Types without a COROS code (activities scraped from the page or imported by name)
+    const EXTRA_TYPES = {
+        yoga: { name: 'Yoga', icon: '🧘', color: '#A8E6CF' },
+        elliptical: { name: 'Elliptical', icon: '⚡', color: '#81C784' },
+        rowing: { name: 'Rowing', icon: '🚣', color: '#4DB6AC' },
+        skiing: { name: 'Skiing', icon: '⛷️', color: '#E1F5FE' },
+        snowboarding: { name: 'Snowboarding', icon: '🏂', color: '#B3E5FC' },
+        other: { name: 'Other', icon: '⚡', color: '#95A5A6' }
+    };
+
+    // Free-text type names mapped to canonical types
+    const TYPE_ALIASES = {
+        'run': 'running',
+        'bike': 'cycling',
+        'ride': 'cycling',
+        'swim': 'swimming',
+        'hike': 'hiking',
+        'walk': 'walking',
+        'weight_training': 'strength',
+        'strength_training': 'strength',
+        'gym': 'strength',
+        'indoor_bike': 'indoor_cycling',
+        'spinning': 'indoor_cycling',
+        'treadmill_run': 'treadmill',
+        'openwater': 'open_water',
+        'cross_training': 'other',
+        'cardio': 'other'
+    };
+
+    /**
+     * Built-in sport groups by COROS code range (inclusive). The default summary card groups, goal scopes,
+     * filter groups, record scopes and the heatmap and trend breakdowns all read them from here.
+     * labelKey: message key of the name, paceStyle: as for SPORTS
+     */
+    const SPORT_GROUPS = [
+        { id: 'run', name: 'Run', labelKey: 'groupRun', icon: '🏃', color: '#FF6B6B', paceStyle: 'pace-km', ranges: [[100, 199]] },
+        { id: 'bike', name: 'Bike', labelKey: 'groupBike', icon: '🚴', color: '#4ECDC4', paceStyle: 'speed', ranges: [[200, 299]] },
+        { id: 'swim', name: 'Swim', labelKey: 'groupSwim', icon: '🏊', color: '#45B7D1', paceStyle: 'pace-100m', ranges: [[300, 399]] }
+    ];
+
+    const DEFAULTS = {
+        iconClass: 'icon-other',
+        iconColor: 'rgb(200,200,200)',
+        distanceUnit: 'km',
+        paceStyle: null
+    };
+
+    // Canonical type key to metadata, for activities without a code
+    const TYPES = {};
+    Object.keys(SPORTS).forEach(code => {
+        const sport = SPORTS[code];
+        if (!TYPES[sport.type]) {
+            TYPES[sport.type] = { ...sport, code: Number(code) };
+        }
+    });
+    Object.keys(EXTRA_TYPES).forEach(type => {
+        TYPES[type] = { ...DEFAULTS, ...EXTRA_TYPES[type], type: type };
+    });
+
+    // Unknown codes already reported, so each is only logged once
+    const reportedCodes = new Set();
+
+    /**
+     * Look up a sport by COROS code. Unknown codes get their own entry (type `code_<n>`) so they
+     * show up as "Unknown sport" instead of being merged into 'other'.
+     * @param {number|string} code - COROS sportType code
+     * @returns {Object|null} { code, type, name, icon, iconClass, iconColor, color, distanceUnit, paceStyle, unknown }
+     *   or null when no code is given
+     */
+    function getSport(code) {
+        const numericCode = parseInt(code, 10);
+        if (isNaN(numericCode)) {
+            return null;
+        }
+
+        if (SPORTS[numericCode]) {
+            return { ...SPORTS[numericCode], code: numericCode, unknown: false };
+        }
+
+        if (!reportedCodes.has(numericCode)) {
+            reportedCodes.add(numericCode);
+            console.warn(`Unknown COROS sport code ${numericCode}; add it to sport-registry.js`);
+        }
+
+        return {
+            ...DEFAULTS,
+            code: numericCode,
+            type: `code_${numericCode}`,
+            name: `Unknown sport (code ${numericCode})`,
+            icon: '❓',
+            color: '#95A5A6',
+            unknown: true
+        };
+    }
+
+    /**
+     * Look up a sport by canonical type or free-text type name
+     * @param {string} type - Type such as 'running', 'Run' or 'code_123'
+     * @returns {Object} Sport metadata (the 'other' entry when the type is not recognized)
+     */
+    function getType(type) {
+        const codeMatch = /^code_(\d+)$/.exec(type || '');
+        if (codeMatch) {
+            return getSport(codeMatch[1]);
+        }
+        return TYPES[normalizeType(type)] || TYPES.other;
+    }
+
+    /**
+     * Sport metadata for an activity: by its code when present, otherwise by its type name
+     * @param {Object} activity - Activity with `code` and/or `type`
+     * @returns {Object} Sport metadata
+     */
+    function getActivitySport(activity) {
+        const code = activity.code ?? activity.sportType ?? activity.sportCode;
+        return getSport(code) || getType(activity.type || activity.sport);
+    }
+
+    /**
+     * Canonical type key for a free-text type name
+     * @param {string} type - e.g. 'Run', 'weight training', 'indoor_cycling'
+     * @returns {string} Canonical type, 'other' when unknown
+     */
+    function normalizeType(type) {
+        if (!type) return 'other';
+
+        const normalized = String(type).toLowerCase().replace(/[_\s-]/g, '_');
+        return TYPE_ALIASES[normalized] || (TYPES[normalized] ? normalized : 'other');
+    }
+
+    /**
+     * All registered sports, ordered by code
+     * @returns {Array} Sport metadata including `code`
+     */
+    function getAllSports() {
+        return Object.keys(SPORTS)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(code => ({ ...SPORTS[code], code: code, unknown: false }));
+    }
+
+    /**
+     * The built-in run/bike/swim groups
+     * @returns {Array} Copies of the groups { id, name, labelKey, icon, color, paceStyle, ranges: [[min, max], ...] }
+     */
+    function getSportGroups() {
+        return SPORT_GROUPS.map(copyGroup);
+    }
+
+    /**
+     * Built-in group a COROS code belongs to
+     * @param {number|string} code - COROS sportType code
+     * @returns {Object|null} Group, or null when the code is in none of them
+     */
+    function getSportGroup(code) {
+        const group = SPORT_GROUPS.find(g => isInGroup(g, code));
+        return group ? copyGroup(group) : null;
+    }
+
+    /**
+     * Whether a COROS code falls in one of a group's ranges
+     * @param {Object} group - Group with `ranges` (built-in or from CorosSportGroups)
+     * @param {number|string} code - COROS sportType code
+     * @returns {boolean}
+     */
+    function isInGroup(group, code) {
+        const numericCode = parseInt(code, 10);
+        return group.ranges.some(([min, max]) => numericCode >= min && numericCode <= max);
+    }
+
+    function copyGroup(group) {
+        return { ...group, ranges: group.ranges.map(range => range.slice()) };
+    }
+
+    /**
+     * Unknown codes seen so far in this page session
+     * @returns {Array} Codes
+     */
+    function getUnknownCodes() {
+        return Array.from(reportedCodes);
+    }
+
+    // Public API
+    return {
+        getSport: getSport,
+        getType: getType,
+        getActivitySport: getActivitySport,
+        normalizeType: normalizeType,
+        getAllSports: getAllSports,
+        getSportGroups: getSportGroups,
+        getSportGroup: getSportGroup,
+        isInGroup: isInGroup,
+        getUnknownCodes: getUnknownCodes
+    };
+
+})();
@@ -3,22 +3,18 @@
 window.CorosStatistics = (function () {
   'use strict';
 
-  // Sport type configurations (shared with calendar.js)
-  const SPORT_TYPES = {
-    'running': { icon: '🏃', color: '#FF6B6B', name: 'Running' },
-    'cycling': { icon: '🚴', color: '#4ECDC4', name: 'Cycling' },
-    'swimming': { icon: '🏊', color: '#45B7D1', name: 'Swimming' },
-    'hiking': { icon: '🥾', color: '#96CEB4', name: 'Hiking' },
-    'walking': { icon: '🚶', color: '#FECA57', name: 'Walking' },
-    'strength': { icon: '💪', color: '#FF9FF3', name: 'Strength Training' },
-    'yoga': { icon: '🧘', color: '#A8E6CF', name: 'Yoga' },
-    'indoor_cycling': { icon: '🏋️', color: '#6C7CE0', name: 'Indoor Cycling' },
-    'treadmill': { icon: '🏃', color: '#FF8A80', name: 'Treadmill' },
-    'elliptical': { icon: '⚡', color: '#81C784', name: 'Elliptical' },
-    'rowing': { icon: '🚣', color: '#4DB6AC', name: 'Rowing' },
-    'skiing': { icon: '⛷️', color: '#E1F5FE', name: 'Skiing' },
-    'snowboarding': { icon: '🏂', color: '#B3E5FC', name: 'Snowboarding' },
-    'other': { icon: '⚡', color: '#95A5A6', name: 'Other' }
+  const { escapeHTML, parseTimeToSeconds } = window.CorosUtils;
+  const { t } = window.CorosI18n;
+
+  // Efficiency trend buckets are weekly up to this many days, monthly beyond
+  const WEEKLY_TREND_MAX_DAYS = 92;
+
+  // Message keys for each statistics period type
+  const PERIOD_TYPES = {
+    month: { titleKey: 'insightsTitleMonth', nounKey: 'periodNounMonth' },
+    quarter: { titleKey: 'insightsTitleQuarter', nounKey: 'periodNounQuarter' },
+    year: { titleKey: 'insightsTitleYear', nounKey: 'periodNounYear' },
+    custom: { titleKey: 'insightsTitleCustom', nounKey: 'periodNounCustom' }
   };
 
   /**
@@ -26,23 +22,36 @@ window.CorosStatistics = (function () {
    * @param {HTMLElement} container - Container element to render statistics
    * @param {Array} activities - Array of activity data
    * @param {Date} date - Current date for statistics period
+   * @param {Object} [period] - { type: 'month'|'quarter'|'year'|'custom', start: Date, end: Date };
+   *   defaults to the month containing `date`
+   * @param {Object} [options] - { goalProgress } from CorosGoals.calculateProgress, { records } from CorosRecords,
+   *   { sportFilter } from CorosSportFilter, { sportGroups } from CorosSportGroups for the summary cards,
+   *   the performance section and the trend bars
    */
-  function render(container, activities, date) {
+  function render(container, activities, date, period, options = {}) {
     if (!container) {
       console.error('Statistics container not provided');
       return;
     }
 
     try {
+      const sportGroups = window.CorosSportGroups
+        ? options.sportGroups || window.CorosSportGroups.DEFAULT_GROUPS
+        : [];
+      if (window.CorosSportFilter && options.sportFilter) {
+        activities = window.CorosSportFilter.apply(activities, options.sportFilter, sportGroups);
+      }
+
+      const statsPeriod = resolvePeriod(date, period);
       const stats = calculateStatistics(activities, date);
-      const groupSummary = groupSummarizeByCode(activities);
-      const html = generateStatisticsHTML(stats, date, groupSummary);
+      const groupSummary = sportGroups.length > 0 ? window.CorosSportGroups.summarize(activities, sportGroups) : {};
+      const html = generateStatisticsHTML(stats, statsPeriod, sportGroups, groupSummary, activities, options);
       container.innerHTML = html;
     } catch (error) {
       console.error('Error rendering statistics:', error);
       container.innerHTML = `
           <div class="coros-error-state">
-            <p>Failed to render statistics: ${error.message}</p>
+            <p>${t('errorRenderStatistics', escapeHTML(error.message))}</p>
           </div>
         `;
     }
@@ -85,15 +94,20 @@ window.CorosStatistics = (function () {
 
         // Update sport-specific stats
         if (!stats.bySport[sportType]) {
+          const sport = window.CorosSports.getActivitySport(activity);
           stats.bySport[sportType] = {
-            name: SPORT_TYPES[sportType]?.name || sportType,
-            icon: SPORT_TYPES[sportType]?.icon || '⚡',
-            color: SPORT_TYPES[sportType]?.color || '#95A5A6',
+            name: sport.name,
+            icon: sport.icon,
+            color: sport.color,
             count: 0,
             activeDays: new Set(),
             totalDistance: 0,
             totalDuration: 0,
             totalCalories: 0,
+            distanceUnit: sport.distanceUnit,
+            paceStyle: sport.paceStyle,
+            hrDuration: 0,
+            hrWeightedSum: 0,
             activities: []
           };
         }
@@ -104,6 +118,10 @@ window.CorosStatistics = (function () {
         sportStats.totalDistance += normalizedActivity.distance || 0;
         sportStats.totalDuration += normalizedActivity.duration || 0;
         sportStats.totalCalories += normalizedActivity.calories || 0;
+        if (normalizedActivity.avgHr > 0 && normalizedActivity.duration > 0) {
+          sportStats.hrDuration += normalizedActivity.duration;
+          sportStats.hrWeightedSum += normalizedActivity.avgHr * normalizedActivity.duration;
+        }
         sportStats.activities.push(normalizedActivity);
 
       } catch (error) {
@@ -114,118 +132,79 @@ window.CorosStatistics = (function () {
     // Convert Set to number for active days
     stats.overall.activeDays = stats.overall.activeDays.size;
     Object.keys(stats.bySport).forEach(sport => {
-      stats.bySport[sport].activeDays = stats.bySport[sport].activeDays.size;
+      const sportStats = stats.bySport[sport];
+      sportStats.activeDays = sportStats.activeDays.size;
+      // Time-weighted so a long easy run counts more than a short interval session
+      sportStats.avgHr = sportStats.hrDuration > 0 ? sportStats.hrWeightedSum / sportStats.hrDuration : 0;
     });
 
     return stats;
   }
 
-  /**
-* Group and summarize activities by code ranges
-* Example: run (100-199), bike (200-299), swim (300-399)
-*/
-  function groupSummarizeByCode(activities) {
-    const groupSummary = {
-      run: { distance: 0, time: 0, count: 0, days: new Set() },
-      bike: { distance: 0, time: 0, count: 0, days: new Set() },
-      swim: { distance: 0, time: 0, count: 0, days: new Set() }
-    };
-
-    activities.forEach(a => {
-      const code = parseInt(a.code, 10);
-      // Extract 'yyyy-mm-dd' from a.date (which may be '2025-04-30T13:05:01.000Z')
-      const day = typeof a.date === 'string' ? a.date.split('T')[0] : a.date;
-      if (code >= 100 && code < 200) {
-        groupSummary.run.distance += a.distance || 0;
-        groupSummary.run.time += parseTimeToSeconds(a.duration || 0);
-        groupSummary.run.count += 1;
-        groupSummary.run.days.add(day);
-      } else if (code >= 200 && code < 300) {
-        groupSummary.bike.distance += a.distance || 0;
-        groupSummary.bike.time += parseTimeToSeconds(a.duration || 0);
-        groupSummary.bike.count += 1;
-        groupSummary.bike.days.add(day);
-      } else if (code >= 300 && code < 400) {
-        groupSummary.swim.distance += a.distance || 0;
-        groupSummary.swim.time += parseTimeToSeconds(a.duration || 0);
-        groupSummary.swim.count += 1;
-        groupSummary.swim.days.add(day);
-      }
-    });
-
-    // Convert days Set to count
-    groupSummary.run.days = groupSummary.run.days.size;
-    groupSummary.bike.days = groupSummary.bike.days.size;
-    groupSummary.swim.days = groupSummary.swim.days.size;
-
-    return groupSummary;
-  }
-
   /**
   * Helper to parse time string (e.g. '1:23:45') to seconds
   */
-  function parseTimeToSeconds(timeStr) {
-    if (typeof timeStr === 'number') return timeStr;
-    if (!timeStr) return 0;
-    const parts = timeStr.split(':').map(Number).reverse();
-    let seconds = 0;
-    if (parts[0]) seconds += parts[0];
-    if (parts[1]) seconds += parts[1] * 60;
-    if (parts[2]) seconds += parts[2] * 3600;
-    return seconds;
+  /**
+   * Resolve the period to summarize, falling back to the month containing `date`
+   */
+  function resolvePeriod(date, period) {
+    if (period && period.start && period.end && PERIOD_TYPES[period.type]) {
+      return period;
+    }
+
+    return {
+      type: 'month',
+      start: new Date(date.getFullYear(), date.getMonth(), 1),
+      end: new Date(date.getFullYear(), date.getMonth() + 1, 0)
+    };
   }
 
   /**
    * Generate HTML for statistics display
    */
-  function generateStatisticsHTML(stats, date, groupSummary) {
-    const monthName = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
+  function generateStatisticsHTML(stats, period, sportGroups, groupSummary, activities, options) {
+    const goalProgress = options.goalProgress;
     return `
         <div class="coros-stats-summary">
-          ${generateSummaryCards(stats.overall, groupSummary)}
+          ${generateSummaryCards(stats.overall, sportGroups, groupSummary, goalProgress)}
         </div>
+
+        ${window.CorosGoals ? window.CorosGoals.generateGoalsSection(goalProgress, sportGroups) : ''}
+
+        ${window.CorosSportGroups ? window.CorosSportGroups.generateEditor(sportGroups) : ''}
         
         <div class="coros-stats-by-sport">
-          <h3>Activity Breakdown by Sport</h3>
+          <h3>${t('statsBySportTitle')}</h3>
           ${generateSportTable(stats.bySport)}
         </div>
         
-        ${generateInsights(stats, date)}
+        ${generatePerformance(activities, period, sportGroups)}
+
+        ${window.CorosRecords && options.records ? window.CorosRecords.generateRecordsSection(options.records) : ''}
+
+        ${generateMonthlyTrend(activities, period, sportGroups)}
+
+        ${generateInsights(stats, period)}
       `;
   }
 
   /**
    * Generate summary cards HTML
    */
-  function generateSummaryCards(overallStats, groupSummary) {
-    // Group summary cards for run, bike, swim
-    const groupCards = [
-      {
-        key: 'run',
-        label: 'Run',
-        icon: '🏃',
-        color: '#FF6B6B',
-      },
-      {
-        key: 'bike',
-        label: 'Bike',
-        icon: '🚴',
-        color: '#4ECDC4',
-      },
-      {
-        key: 'swim',
-        label: 'Swim',
-        icon: '🏊',
-        color: '#45B7D1',
-      }
-    ].map(({ key, label, icon, color }) => {
-      const g = groupSummary[key];
+  function generateSummaryCards(overallStats, sportGroups, groupSummary, goalProgress) {
+    const goalBars = (scope, metric) =>
+      window.CorosGoals ? window.CorosGoals.generateCardProgress(goalProgress, scope, metric) : '';
+
+    // Group summary cards for the configured sport groups
+    const groupCards = sportGroups.map(group => {
+      const { id, icon, color } = group;
+      const g = groupSummary[id];
       return `
         <div class="coros-stat-card group-summary" style="border-top: 3px solid ${color}">
-          <div class="coros-stat-value">${icon} ${label}</div>
-          <div class="coros-stat-label">${g.count} activities, ${g.days} days</div>
+          <div class="coros-stat-value">${escapeHTML(icon)} ${escapeHTML(window.CorosSportGroups.getGroupName(group))}</div>
+          <div class="coros-stat-label">${t('summaryGroupCounts', [g.count, g.days])}</div>
           <div class="coros-stat-detail">${formatDistance(g.distance)}, ${formatDuration(g.time)}</div>
+          ${goalBars(id)}
         </div>
       `;
     }).join('');
@@ -236,27 +215,31 @@ window.CorosStatistics = (function () {
 
         <div class="coros-stat-card">
           <div class="coros-stat-value">${overallStats.totalActivities}</div>
-          <div class="coros-stat-label">Total Activities</div>
+          <div class="coros-stat-label">${t('summaryTotalActivities')}</div>
+          ${goalBars('overall', 'sessions')}
         </div>
         
         <div class="coros-stat-card">
           <div class="coros-stat-value">${overallStats.activeDays}</div>
-          <div class="coros-stat-label">Active Days</div>
+          <div class="coros-stat-label">${t('summaryActiveDays')}</div>
+          ${goalBars('overall', 'activeDays')}
         </div>
         
         <div class="coros-stat-card">
           <div class="coros-stat-value">${formatDistance(overallStats.totalDistance)}</div>
-          <div class="coros-stat-label">Total Distance</div>
+          <div class="coros-stat-label">${t('summaryTotalDistance')}</div>
+          ${goalBars('overall', 'distance')}
         </div>
         
         <div class="coros-stat-card">
           <div class="coros-stat-value">${formatDuration(overallStats.totalDuration)}</div>
-          <div class="coros-stat-label">Total Time</div>
+          <div class="coros-stat-label">${t('summaryTotalTime')}</div>
+          ${goalBars('overall', 'duration')}
         </div>
         
         <div class="coros-stat-card">
           <div class="coros-stat-value">${formatCalories(overallStats.totalCalories)}</div>
-          <div class="coros-stat-label">Total Calories</div>
+          <div class="coros-stat-label">${t('summaryTotalCalories')}</div>
         </div>
 
       `;
@@ -269,7 +252,7 @@ window.CorosStatistics = (function () {
     if (Object.keys(sportStats).length === 0) {
       return `
           <div class="coros-empty-state">
-            <p>No activity data available for this period.</p>
+            <p>${t('statsNoData')}</p>
           </div>
         `;
     }
@@ -292,10 +275,12 @@ window.CorosStatistics = (function () {
             </td>
             <td>${data.count}</td>
             <td>${data.activeDays}</td>
-            <td>${formatDistance(data.totalDistance)}</td>
+            <td>${formatDistance(data.totalDistance, data.distanceUnit)}</td>
             <td>${formatDuration(data.totalDuration)}</td>
-            <td>${formatDistance(avgDistance)}</td>
+            <td>${formatDistance(avgDistance, data.distanceUnit)}</td>
             <td>${formatDuration(avgDuration)}</td>
+            <td>${formatPace(data.paceStyle, data.totalDistance, data.totalDuration)}</td>
+            <td>${formatHeartRate(data.avgHr)}</td>
             <td>${formatCalories(data.totalCalories)}</td>
           </tr>
         `;
@@ -305,14 +290,16 @@ window.CorosStatistics = (function () {
         <table class="coros-stats-table">
           <thead>
             <tr>
-              <th>Sport</th>
-              <th>Activities</th>
-              <th>Active Days</th>
-              <th>Total Distance</th>
-              <th>Total Time</th>
-              <th>Avg Distance</th>
-              <th>Avg Time</th>
-              <th>Calories</th>
+              <th>${t('columnSport')}</th>
+              <th>${t('columnActivities')}</th>
+              <th>${t('columnActiveDays')}</th>
+              <th>${t('columnTotalDistance')}</th>
+              <th>${t('columnTotalTime')}</th>
+              <th>${t('columnAvgDistance')}</th>
+              <th>${t('columnAvgTime')}</th>
+              <th>${t('columnAvgPace')}</th>
+              <th>${t('columnAvgHr')}</th>
+              <th>${t('columnCalories')}</th>
             </tr>
           </thead>
           <tbody>
@@ -322,11 +309,313 @@ window.CorosStatistics = (function () {
       `;
   }
 
+  /**
+   * Generate month-over-month bars for periods spanning more than one month
+   */
+  function generateMonthlyTrend(activities, period, sportGroups) {
+    const months = calculateMonthlyTrend(activities, period, sportGroups);
+    if (months.length < 2) {
+      return '';
+    }
+
+    const maxDuration = Math.max(1, ...months.map(m => m.duration));
+
+    const barsHTML = months.map((m, index) => {
+      const previous = index > 0 ? months[index - 1] : null;
+      let change = '';
+      if (previous && previous.duration > 0) {
+        const percent = Math.round(((m.duration - previous.duration) / previous.duration) * 100);
+        change = `${percent > 0 ? '+' : ''}${percent}%`;
+      }
+
+      const segments = [
+        ...sportGroups.map(group => ({ id: group.id, label: window.CorosSportGroups.getGroupName(group), color: group.color })),
+        { id: 'other', label: t('groupOther'), color: '#95A5A6' }
+      ]
+        .filter(group => m.groups[group.id] > 0)
+        .map(group => `
+          <div class="coros-trend-segment"
+               style="height: ${(m.groups[group.id] / maxDuration) * 100}%; background: ${group.color};"
+               title="${escapeHTML(group.label)}: ${formatDuration(m.groups[group.id])}"></div>
+        `).join('');
+
+      return `
+        <div class="coros-trend-column">
+          <div class="coros-trend-value">${formatDuration(m.duration)}</div>
+          <div class="coros-trend-bar" title="${t('trendBarTitle', [m.label, m.count, formatDistance(m.distance)])}">
+            ${segments}
+          </div>
+          <div class="coros-trend-label">${m.label}</div>
+          <div class="coros-trend-change">${change}</div>
+        </div>
+      `;
+    }).join('');
+
+    return `
+        <div class="coros-stats-trend">
+          <h3>${t('trendTitle')}</h3>
+          <div class="coros-trend-chart">
+            ${barsHTML}
+          </div>
+        </div>
+      `;
+  }
+
+  /**
+   * Calculate per-month totals (with time per sport group) across a period. The bars are stacked,
+   * so an activity in several groups only counts toward the first one.
+   */
+  function calculateMonthlyTrend(activities, period, sportGroups) {
+    const months = [];
+    const index = {};
+    const cursor = new Date(period.start.getFullYear(), period.start.getMonth(), 1);
+
+    while (cursor <= period.end) {
+      const key = `${cursor.getFullYear()}-${cursor.getMonth()}`;
+      index[key] = months.length;
+      months.push({
+        label: window.CorosPreferences.formatDate(cursor, { month: 'short', year: '2-digit' }),
+        count: 0,
+        duration: 0,
+        distance: 0,
+        groups: {}
+      });
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    (activities || []).forEach(activity => {
+      const activityDate = new Date(activity.startTime || activity.date);
+      const month = months[index[`${activityDate.getFullYear()}-${activityDate.getMonth()}`]];
+      if (!month) {
+        return;
+      }
+      const duration = parseTimeToSeconds(activity.duration || 0);
+      month.count += 1;
+      month.duration += duration;
+      month.distance += parseFloat(activity.distance) || 0;
+      const group = sportGroups.find(g => window.CorosSportGroups.matches(g, activity.code));
+      const groupKey = group ? group.id : 'other';
+      month.groups[groupKey] = (month.groups[groupKey] || 0) + duration;
+    });
+
+    return months;
+  }
+
+  /**
+   * Generate the heart rate and pace section with the aerobic efficiency trend
+   */
+  function generatePerformance(activities, period, sportGroups) {
+    const performance = calculatePerformance(activities, sportGroups);
+    const groups = sportGroups
+      .filter(group => performance[group.id].count > 0)
+      .map(group => ({
+        ...group,
+        label: window.CorosSportGroups.getGroupName(group),
+        paceStyle: window.CorosSportGroups.getPaceStyle(group)
+      }));
+    if (groups.length === 0) {
+      return '';
+    }
+
+    const rows = groups.map(group => {
+      const p = performance[group.id];
+      return `
+          <tr>
+            <td>
+              <div class="coros-sport-name">
+                <span class="coros-sport-icon">${escapeHTML(group.icon)}</span>
+                ${escapeHTML(group.label)}
+              </div>
+            </td>
+            <td>${p.count}</td>
+            <td>${formatPace(group.paceStyle, p.distance, p.duration)}</td>
+            <td>${p.hrCount}</td>
+            <td>${formatHeartRate(p.avgHr)}</td>
+            <td>${formatPace(group.paceStyle, p.hrDistance, p.hrDuration)}</td>
+            <td>${formatEfficiency(p.efficiency)}</td>
+          </tr>
+        `;
+    }).join('');
+
+    const trends = groups
+      .map(group => generateEfficiencyTrend(group, calculateEfficiencyTrend(activities, period, group)))
+      .join('');
+
+    return `
+        <div class="coros-stats-performance">
+          <h3>${escapeHTML(t('performanceTitle'))}</h3>
+          <table class="coros-stats-table">
+            <thead>
+              <tr>
+                <th>${t('columnSport')}</th>
+                <th>${t('columnActivities')}</th>
+                <th>${t('columnAvgPace')}</th>
+                <th>${t('columnWithHr')}</th>
+                <th>${t('columnAvgHr')}</th>
+                <th>${t('columnPaceWithHr')}</th>
+                <th title="${t('columnEfficiencyHint')}">${t('columnEfficiency')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+            </tbody>
+          </table>
+          ${trends}
+        </div>
+      `;
+  }
+
+  /**
+   * Aerobic efficiency table for one sport group
+   */
+  function generateEfficiencyTrend(group, buckets) {
+    const withHr = buckets.filter(bucket => bucket.efficiency > 0);
+    if (withHr.length < 2) {
+      return '';
+    }
+
+    const first = withHr[0];
+    const last = withHr[withHr.length - 1];
+    const change = ((last.efficiency - first.efficiency) / first.efficiency) * 100;
+    const summaryKey = change >= 0 ? 'efficiencyImproved' : 'efficiencyDropped';
+
+    const rows = withHr.map(bucket => {
+      const delta = ((bucket.efficiency - first.efficiency) / first.efficiency) * 100;
+      return `
+            <tr>
+              <td>${bucket.label}</td>
+              <td>${bucket.count}</td>
+              <td>${formatPace(group.paceStyle, bucket.distance, bucket.duration)}</td>
+              <td>${formatHeartRate(bucket.avgHr)}</td>
+              <td>${formatEfficiency(bucket.efficiency)}</td>
+              <td>${bucket === first ? '' : `${delta > 0 ? '+' : ''}${delta.toFixed(1)}%`}</td>
+            </tr>
+          `;
+    }).join('');
+
+    return `
+          <div class="coros-efficiency-trend">
+            <h4>${escapeHTML(group.icon)} ${t('efficiencyTitle', escapeHTML(group.label))}</h4>
+            <p class="coros-efficiency-summary">
+              ${t(summaryKey, [Math.abs(change).toFixed(1), first.label, last.label])}
+              ${t('efficiencyHint')}
+            </p>
+            <table class="coros-stats-table">
+              <thead>
+                <tr>
+                  <th>${t(withHr[0].unit === 'week' ? 'columnWeekOf' : 'columnMonth')}</th>
+                  <th>${t('columnWithHr')}</th>
+                  <th>${t('columnPace')}</th>
+                  <th>${t('columnAvgHr')}</th>
+                  <th>${t('columnEfficiency')}</th>
+                  <th>${t('columnChange')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rows}
+              </tbody>
+            </table>
+          </div>
+        `;
+  }
+
+  /**
+   * Per sport group pace, time-weighted heart rate and efficiency (meters per heartbeat).
+   * An activity is counted in every group it matches, as in the summary cards.
+   */
+  function calculatePerformance(activities, sportGroups) {
+    const performance = {};
+    sportGroups.forEach(group => {
+      performance[group.id] = createPerformanceTotals();
+    });
+
+    (activities || []).forEach(activity => {
+      sportGroups
+        .filter(group => window.CorosSportGroups.matches(group, activity.code))
+        .forEach(group => addToPerformanceTotals(performance[group.id], activity));
+    });
+
+    Object.values(performance).forEach(finishPerformanceTotals);
+    return performance;
+  }
+
+  /**
+   * Efficiency per week (or per month for long periods) for one sport group
+   */
+  function calculateEfficiencyTrend(activities, period, group) {
+    const weekly = getElapsedDays(period) <= WEEKLY_TREND_MAX_DAYS;
+    const buckets = {};
+
+    (activities || []).forEach(activity => {
+      if (!window.CorosSportGroups.matches(group, activity.code)) {
+        return;
+      }
+      const activityDate = new Date(activity.startTime || activity.date);
+      const bucketStart = weekly
+        ? window.CorosPreferences.getWeekStart(activityDate)
+        : new Date(activityDate.getFullYear(), activityDate.getMonth(), 1);
+      const key = bucketStart.getTime();
+
+      if (!buckets[key]) {
+        buckets[key] = {
+          ...createPerformanceTotals(),
+          start: bucketStart,
+          unit: weekly ? 'week' : 'month',
+          label: window.CorosPreferences.formatDate(bucketStart, weekly
+            ? { month: 'short', day: 'numeric' }
+            : { month: 'short', year: '2-digit' })
+        };
+      }
+      addToPerformanceTotals(buckets[key], activity);
+    });
+
+    return Object.values(buckets)
+      .sort((a, b) => a.start - b.start)
+      .map(finishPerformanceTotals);
+  }
+
+  function createPerformanceTotals() {
+    return {
+      count: 0,
+      distance: 0,
+      duration: 0,
+      hrCount: 0,
+      hrDistance: 0,
+      hrDuration: 0,
+      hrWeightedSum: 0,
+      heartbeats: 0
+    };
+  }
+
+  function addToPerformanceTotals(totals, activity) {
+    const distance = parseFloat(activity.distance) || 0;
+    const duration = parseTimeToSeconds(activity.duration || 0);
+    const avgHr = parseFloat(activity.avgHr) || 0;
+
+    totals.count += 1;
+    totals.distance += distance;
+    totals.duration += duration;
+
+    if (avgHr > 0 && duration > 0) {
+      totals.hrCount += 1;
+      totals.hrWeightedSum += avgHr * duration;
+      totals.hrDuration += duration;
+      totals.hrDistance += distance;
+      totals.heartbeats += avgHr * duration / 60;
+    }
+  }
+
+  function finishPerformanceTotals(totals) {
+    totals.avgHr = totals.hrDuration > 0 ? totals.hrWeightedSum / totals.hrDuration : 0;
+    totals.efficiency = totals.heartbeats > 0 ? totals.hrDistance / totals.heartbeats : 0;
+    return totals;
+  }
+
   /**
    * Generate insights section
    */
-  function generateInsights(stats, date) {
-    const insights = calculateInsights(stats, date);
+  function generateInsights(stats, period) {
+    const insights = calculateInsights(stats, period);
 
     if (insights.length === 0) {
       return '';
@@ -341,7 +630,7 @@ window.CorosStatistics = (function () {
 
     return `
         <div class="coros-stats-insights">
-          <h3>Monthly Insights</h3>
+          <h3>${t(PERIOD_TYPES[period.type].titleKey)}</h3>
           <div class="coros-insights-list">
             ${insightsHTML}
           </div>
@@ -352,22 +641,25 @@ window.CorosStatistics = (function () {
   /**
    * Calculate insights from statistics
    */
-  function calculateInsights(stats, date) {
+  function calculateInsights(stats, period) {
     const insights = [];
-    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    const periodText = t(PERIOD_TYPES[period.type].nounKey);
+    const daysInPeriod = getElapsedDays(period);
+    // Achievement thresholds are monthly; scale them to the period length
+    const monthsInPeriod = Math.max(1, daysInPeriod / 30.4);
 
     try {
       // Activity frequency insight
-      const activityRate = (stats.overall.activeDays / daysInMonth * 100).toFixed(0);
+      const activityRate = (stats.overall.activeDays / daysInPeriod * 100).toFixed(0);
       if (activityRate >= 50) {
         insights.push({
           icon: '🔥',
-          text: `Great consistency! You were active ${activityRate}% of days this month.`
+          text: t('insightConsistencyGreat', [activityRate, periodText])
         });
       } else if (activityRate >= 25) {
         insights.push({
           icon: '👍',
-          text: `Good effort! You were active ${activityRate}% of days this month.`
+          text: t('insightConsistencyGood', [activityRate, periodText])
         });
       }
 
@@ -377,23 +669,23 @@ window.CorosStatistics = (function () {
         const mostPopular = sportEntries.reduce((a, b) => a[1].count > b[1].count ? a : b);
         insights.push({
           icon: mostPopular[1].icon,
-          text: `${mostPopular[1].name} was your most frequent activity with ${mostPopular[1].count} sessions.`
+          text: t('insightMostFrequent', [mostPopular[1].name, mostPopular[1].count])
         });
       }
 
       // Distance achievement
-      if (stats.overall.totalDistance >= 100000) { // 100km
+      if (stats.overall.totalDistance >= 100000 * monthsInPeriod) { // 100km per month
         insights.push({
           icon: '🎯',
-          text: `Amazing! You covered over ${formatDistance(stats.overall.totalDistance)} this month.`
+          text: t('insightDistance', [formatDistance(stats.overall.totalDistance), periodText])
         });
       }
 
       // Time achievement
-      if (stats.overall.totalDuration >= 36000) { // 10 hours
+      if (stats.overall.totalDuration >= 36000 * monthsInPeriod) { // 10 hours per month
         insights.push({
           icon: '⏱️',
-          text: `You dedicated ${formatDuration(stats.overall.totalDuration)} to fitness this month!`
+          text: t('insightTime', [formatDuration(stats.overall.totalDuration), periodText])
         });
       }
 
@@ -402,7 +694,7 @@ window.CorosStatistics = (function () {
       if (sportCount >= 3) {
         insights.push({
           icon: '🌟',
-          text: `Great variety! You engaged in ${sportCount} different types of activities.`
+          text: t('insightVariety', sportCount)
         });
       }
 
@@ -413,62 +705,40 @@ window.CorosStatistics = (function () {
     return insights;
   }
 
+  /**
+   * Number of days in a period, counting only up to today for periods still in progress
+   */
+  function getElapsedDays(period) {
+    const today = new Date();
+    const end = period.end > today ? today : period.end;
+    const dayMs = 24 * 60 * 60 * 1000;
+    return Math.max(1, Math.round((end - period.start) / dayMs) + 1);
+  }
+
   /**
    * Normalize activity data structure
    */
   function normalizeActivity(activity) {
     return {
       id: activity.id || activity.activityId || Math.random().toString(36),
-      name: activity.name || activity.title || 'Activity',
-      type: normalizeActivityType(activity.type || activity.sport),
+      name: activity.name || activity.title || t('activityDefaultName'),
+      type: window.CorosSports.getActivitySport(activity).type,
       duration: parseFloat(activity.duration || activity.movingTime || 0),
       distance: parseFloat(activity.distance || 0),
       startTime: activity.startTime || activity.date,
-      calories: parseFloat(activity.calories || 0)
+      calories: parseFloat(activity.calories || 0),
+      code: activity.code,
+      avgHr: parseFloat(activity.avgHr || 0),
+      avgSpeed: parseFloat(activity.avgSpeed || 0)
     };
   }
 
-  /**
-   * Normalize activity type to standard format
-   */
-  function normalizeActivityType(type) {
-    if (!type) return 'other';
-
-    const normalized = type.toLowerCase().replace(/[_\s-]/g, '_');
-
-    // Map common variations to our standard types
-    const typeMapping = {
-      'run': 'running',
-      'bike': 'cycling',
-      'ride': 'cycling',
-      'swim': 'swimming',
-      'hike': 'hiking',
-      'walk': 'walking',
-      'weight_training': 'strength',
-      'strength_training': 'strength',
-      'gym': 'strength',
-      'indoor_bike': 'indoor_cycling',
-      'spinning': 'indoor_cycling',
-      'treadmill_run': 'treadmill',
-      'cross_training': 'other',
-      'cardio': 'other'
-    };
-
-    return typeMapping[normalized] || (SPORT_TYPES[normalized] ? normalized : 'other');
-  }
-
   /**
    * Utility formatting functions
    */
-  function formatDistance(meters) {
+  function formatDistance(meters, unit) {
     if (!meters || meters < 1) return '0';
-
-    if (meters >= 1000) {
-      const km = (meters / 1000).toFixed(1);
-      return `${km} km`;
-    } else {
-      return `${Math.round(meters)} m`;
-    }
+    return window.CorosPreferences.formatDistance(meters, unit);
   }
 
   function formatDuration(seconds) {
@@ -484,6 +754,26 @@ window.CorosStatistics = (function () {
     }
   }
 
+  /**
+   * Format average pace from total distance (meters) and time (seconds) in the preferred units
+   * @param {string} style - 'pace-km' (min/km), 'pace-100m' (min/100m) or 'speed' (km/h)
+   */
+  function formatPace(style, meters, seconds) {
+    return window.CorosPreferences.formatPace(style, meters, seconds) || '–';
+  }
+
+  function formatHeartRate(bpm) {
+    if (!bpm || bpm < 1) return '–';
+    return `${Math.round(bpm)} bpm`;
+  }
+
+  // Distance per heartbeat in the preferred short unit (m or yd)
+  function formatEfficiency(metersPerBeat) {
+    if (!metersPerBeat) return '–';
+    const unit = window.CorosPreferences.getDistanceUnit('short');
+    return t('efficiencyValue', [(metersPerBeat / unit.meters).toFixed(2), unit.label]);
+  }
+
   function formatCalories(calories) {
     if (!calories || calories < 1) return '0';
 
@@ -497,8 +787,7 @@ window.CorosStatistics = (function () {
   // Public API
   return {
     render: render,
-    calculateStatistics: calculateStatistics,
-    SPORT_TYPES: SPORT_TYPES
+    calculateStatistics: calculateStatistics
   };
 
 })();
@@ -1,17 +1,22 @@
 // Local storage management for COROS Activity Calendar extension
+// Loaded by the content scripts, the popup and the service worker (background sync)
 
-window.CorosStorage = (function () {
+self.CorosStorage = (function () {
     'use strict';
 
     // Storage configuration
+    // Stored months are kept permanently: past months are complete once fetched, and the current month is
+    // brought up to date by CorosAPI.syncMonth. Only the localStorage fallback is capped, by its small quota.
     const STORAGE_CONFIG = {
-        prefix: 'coros_activities_',
-        maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
-        maxEntries: 50 // Maximum number of cached month entries
+        prefix: 'coros_activities_', // localStorage month blobs when the extension store is unavailable
+        settingsPrefix: 'coros_settings_',
+        maxEntries: 50 // Maximum number of cached month entries in localStorage
     };
 
     /**
      * Save activities data for a specific month
+     * Activities go to the IndexedDB store in the service worker (activity-store.js), one record each;
+     * outside the extension they are kept as one localStorage blob per month.
      * @param {string} monthKey - Month identifier (YYYY-MM format)
      * @param {Array} activities - Array of activity objects
      * @returns {Promise<boolean>} Success status
@@ -22,26 +27,23 @@ window.CorosStorage = (function () {
                 throw new Error('Invalid parameters for saveActivities');
             }
 
-            const storageKey = STORAGE_CONFIG.prefix + monthKey;
-            const dataToStore = {
-                activities: activities,
-                timestamp: Date.now(),
-                monthKey: monthKey,
-                version: '1.0'
-            };
-
-            // Use Chrome extension storage API if available, otherwise localStorage
-            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-                await chromeStorageSet(storageKey, dataToStore);
+            const sync = { cursor: getNewestActivity(activities), checksum: hashText(JSON.stringify(activities)) };
+            if (hasActivityStore()) {
+                await storeRequest('putMonth', monthKey, activities, sync);
             } else {
-                localStorage.setItem(storageKey, JSON.stringify(dataToStore));
+                localStorage.setItem(STORAGE_CONFIG.prefix + monthKey, JSON.stringify({
+                    activities: activities,
+                    timestamp: Date.now(),
+                    cursor: sync.cursor,
+                    checksum: sync.checksum,
+                    monthKey: monthKey,
+                    version: '1.0'
+                }));
+                // Clean up old entries to prevent storage bloat
+                await cleanupOldEntries();
             }
 
             console.log(`Saved ${activities.length} activities for ${monthKey}`);
-
-            // Clean up old entries to prevent storage bloat
-            await cleanupOldEntries();
-
             return true;
 
         } catch (error) {
@@ -53,7 +55,7 @@ window.CorosStorage = (function () {
     /**
      * Get cached activities data for a specific month
      * @param {string} monthKey - Month identifier (YYYY-MM format)
-     * @returns {Promise<Array|null>} Array of activities or null if not found/expired
+     * @returns {Promise<Array|null>} Array of activities or null if not stored (or saved before the month ended)
      */
     async function getActivities(monthKey) {
         try {
@@ -61,14 +63,11 @@ window.CorosStorage = (function () {
                 throw new Error('Month key is required');
             }
 
-            const storageKey = STORAGE_CONFIG.prefix + monthKey;
             let storedData;
-
-            // Use Chrome extension storage API if available, otherwise localStorage
-            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-                storedData = await chromeStorageGet(storageKey);
+            if (hasActivityStore()) {
+                storedData = await storeRequest('getMonth', monthKey);
             } else {
-                const rawData = localStorage.getItem(storageKey);
+                const rawData = localStorage.getItem(STORAGE_CONFIG.prefix + monthKey);
                 storedData = rawData ? JSON.parse(rawData) : null;
             }
 
@@ -77,11 +76,10 @@ window.CorosStorage = (function () {
                 return null;
             }
 
-            // Check if data is expired
-            const isExpired = (Date.now() - storedData.timestamp) > STORAGE_CONFIG.maxAge;
-            if (isExpired) {
-                console.log(`Cached data for ${monthKey} has expired`);
-                await removeActivities(monthKey);
+            // A month saved while it was still running may miss its last days: fetch it again once it is over
+            const monthEnd = getMonthEnd(monthKey);
+            if (storedData.timestamp < monthEnd && Date.now() >= monthEnd) {
+                console.log(`Cached data for ${monthKey} was saved before the month ended`);
                 return null;
             }
 
@@ -101,6 +99,134 @@ window.CorosStorage = (function () {
         }
     }
 
+    /**
+     * When a month was last saved, i.e. fetched or synced from COROS
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     * @returns {Promise<number|null>} Timestamp (ms) or null if not stored
+     */
+    async function getSyncTime(monthKey) {
+        try {
+            if (hasActivityStore()) {
+                const month = await storeRequest('getMonthInfo', monthKey);
+                return month ? month.timestamp : null;
+            }
+
+            const rawData = localStorage.getItem(STORAGE_CONFIG.prefix + monthKey);
+            return rawData ? JSON.parse(rawData).timestamp : null;
+
+        } catch (error) {
+            console.error('Error getting sync time:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Newest activity of a month when it was last saved, where CorosAPI.syncMonth resumes fetching
+     * @param {string} monthKey - Month identifier (YYYY-MM format)
+     * @returns {Promise<Object|null>} { startTime (ms), labelId }, or null if not stored, empty or saved
+     *   without one (months migrated from the old cache)
+     */
+    async function getSyncCursor(monthKey) {
+        try {
+            if (hasActivityStore()) {
+                const month = await storeRequest('getMonthInfo', monthKey);
+                return month && month.cursor ? month.cursor : null;
+            }
+
+            const rawData = localStorage.getItem(STORAGE_CONFIG.prefix + monthKey);
+            return rawData ? JSON.parse(rawData).cursor || null : null;
+
+        } catch (error) {
+            console.error('Error getting sync cursor:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Fingerprint of everything stored, to redo work derived from all activities (records) only when it changes.
+     * It changes when a month is added, removed or saved with different activities, not when a sync finds
+     * nothing new.
+     * @returns {Promise<string>} Opaque version string
+     */
+    async function getDataVersion() {
+        try {
+            let months;
+            if (hasActivityStore()) {
+                months = await storeRequest('getMonths');
+            } else {
+                months = (await getCachedMonths()).map(monthKey => ({
+                    monthKey: monthKey,
+                    ...JSON.parse(localStorage.getItem(STORAGE_CONFIG.prefix + monthKey))
+                }));
+            }
+
+            // Months stored without a checksum (migrated from the old cache) fall back to when they were saved
+            return hashText(months
+                .map(month => `${month.monthKey}:${month.checksum || month.timestamp}`)
+                .sort()
+                .join('|'));
+
+        } catch (error) {
+            console.error('Error getting data version:', error);
+            return String(Date.now());
+        }
+    }
+
+    /**
+     * Query cached activities across months by start time and sport code
+     * @param {Date} [startDate] - Earliest start (inclusive)
+     * @param {Date} [endDate] - Latest start (inclusive)
+     * @param {Object} [options]
+     * @param {number} [options.code] - COROS sport code
+     * @returns {Promise<Array>} Activities sorted by start time
+     */
+    async function queryActivities(startDate, endDate, options = {}) {
+        try {
+            const start = startDate ? startDate.getTime() : undefined;
+            const end = endDate ? endDate.getTime() : undefined;
+
+            if (hasActivityStore()) {
+                return await storeRequest('query', { start: start, end: end, code: options.code });
+            }
+
+            // localStorage fallback: scan the month blobs
+            const activities = [];
+            for (const monthKey of await getCachedMonths()) {
+                activities.push(...(await getActivities(monthKey) || []));
+            }
+            return activities
+                .filter(activity => {
+                    const time = new Date(activity.startTime || activity.date).getTime();
+                    return (start === undefined || time >= start) && (end === undefined || time <= end) &&
+                        (options.code === undefined || parseInt(activity.code, 10) === options.code);
+                })
+                .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+        } catch (error) {
+            console.error('Error querying activities:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get one cached activity by its COROS labelId
+     * @param {string} labelId - Activity id
+     * @returns {Promise<Object|null>} Activity or null if not cached
+     */
+    async function getActivityById(labelId) {
+        try {
+            if (hasActivityStore()) {
+                return await storeRequest('getActivity', labelId);
+            }
+            const activities = await queryActivities();
+            return activities.find(activity => String(activity.id) === String(labelId)) || null;
+
+        } catch (error) {
+            console.error('Error getting activity:', error);
+            return null;
+        }
+    }
+
     /**
      * Remove cached activities for a specific month
      * @param {string} monthKey - Month identifier (YYYY-MM format)
@@ -112,13 +238,10 @@ window.CorosStorage = (function () {
                 throw new Error('Month key is required');
             }
 
-            const storageKey = STORAGE_CONFIG.prefix + monthKey;
-
-            // Use Chrome extension storage API if available, otherwise localStorage
-            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-                await chromeStorageRemove(storageKey);
+            if (hasActivityStore()) {
+                await storeRequest('removeMonth', monthKey);
             } else {
-                localStorage.removeItem(storageKey);
+                localStorage.removeItem(STORAGE_CONFIG.prefix + monthKey);
             }
 
             console.log(`Removed cached activities for ${monthKey}`);
@@ -136,24 +259,17 @@ window.CorosStorage = (function () {
      */
     async function getCachedMonths() {
         try {
-            let allKeys = [];
-
-            // Use Chrome extension storage API if available, otherwise localStorage
-            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-                const allData = await chromeStorageGetAll();
-                allKeys = Object.keys(allData);
-            } else {
-                allKeys = Object.keys(localStorage);
+            if (hasActivityStore()) {
+                const months = await storeRequest('getMonths');
+                return months.map(month => month.monthKey);
             }
 
             // Filter keys that match our prefix
-            const cachedMonths = allKeys
+            return Object.keys(localStorage)
                 .filter(key => key.startsWith(STORAGE_CONFIG.prefix))
                 .map(key => key.replace(STORAGE_CONFIG.prefix, ''))
                 .sort();
 
-            return cachedMonths;
-
         } catch (error) {
             console.error('Error getting cached months:', error);
             return [];
@@ -166,8 +282,13 @@ window.CorosStorage = (function () {
      */
     async function clearAllActivities() {
         try {
-            const cachedMonths = await getCachedMonths();
+            if (hasActivityStore()) {
+                await storeRequest('clear');
+                console.log('Cleared the activity store');
+                return true;
+            }
 
+            const cachedMonths = await getCachedMonths();
             for (const monthKey of cachedMonths) {
                 await removeActivities(monthKey);
             }
@@ -187,22 +308,26 @@ window.CorosStorage = (function () {
      */
     async function getStorageStats() {
         try {
+            if (hasActivityStore()) {
+                return await storeRequest('getStats');
+            }
+
             const cachedMonths = await getCachedMonths();
             let totalSize = 0;
             let totalActivities = 0;
             const monthStats = [];
 
             for (const monthKey of cachedMonths) {
+                const rawData = localStorage.getItem(STORAGE_CONFIG.prefix + monthKey) || '';
                 const activities = await getActivities(monthKey);
                 if (activities) {
-                    const monthSize = JSON.stringify(activities).length;
-                    totalSize += monthSize;
+                    totalSize += rawData.length;
                     totalActivities += activities.length;
 
                     monthStats.push({
                         month: monthKey,
                         activities: activities.length,
-                        size: monthSize
+                        size: rawData.length
                     });
                 }
             }
@@ -228,103 +353,182 @@ window.CorosStorage = (function () {
     }
 
     /**
-     * Clean up old entries to prevent storage bloat
+     * Save a user setting (goals, preferences, ...)
+     * @param {string} key - Setting name
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<boolean>} Success status
      */
-    async function cleanupOldEntries() {
+    async function saveSetting(key, value) {
         try {
-            const cachedMonths = await getCachedMonths();
+            if (!key) {
+                throw new Error('Setting key is required');
+            }
 
-            // Remove entries older than maxAge
-            const cutoffTime = Date.now() - STORAGE_CONFIG.maxAge;
-            const monthsToRemove = [];
+            const storageKey = STORAGE_CONFIG.settingsPrefix + key;
 
-            for (const monthKey of cachedMonths) {
-                const storageKey = STORAGE_CONFIG.prefix + monthKey;
-                let storedData;
+            // Use Chrome extension storage API if available, otherwise localStorage
+            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+                await chromeStorageSet(storageKey, value);
+            } else {
+                localStorage.setItem(storageKey, JSON.stringify(value));
+            }
 
-                if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-                    storedData = await chromeStorageGet(storageKey);
-                } else {
-                    const rawData = localStorage.getItem(storageKey);
-                    storedData = rawData ? JSON.parse(rawData) : null;
-                }
+            return true;
 
-                if (storedData && storedData.timestamp < cutoffTime) {
-                    monthsToRemove.push(monthKey);
-                }
+        } catch (error) {
+            console.error('Error saving setting:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a user setting
+     * @param {string} key - Setting name
+     * @param {*} [defaultValue=null] - Returned when the setting is missing or unreadable
+     * @returns {Promise<*>} Stored value or the default
+     */
+    async function getSetting(key, defaultValue = null) {
+        try {
+            if (!key) {
+                throw new Error('Setting key is required');
             }
 
-            // Remove expired entries
-            for (const monthKey of monthsToRemove) {
-                await removeActivities(monthKey);
+            const storageKey = STORAGE_CONFIG.settingsPrefix + key;
+            let value;
+
+            // Use Chrome extension storage API if available, otherwise localStorage
+            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+                value = await chromeStorageGet(storageKey);
+            } else {
+                const rawData = localStorage.getItem(storageKey);
+                value = rawData ? JSON.parse(rawData) : undefined;
             }
 
-            // If still too many entries, remove oldest ones
-            const remainingMonths = cachedMonths.filter(m => !monthsToRemove.includes(m));
-            if (remainingMonths.length > STORAGE_CONFIG.maxEntries) {
-                const excessMonths = remainingMonths
-                    .slice(0, remainingMonths.length - STORAGE_CONFIG.maxEntries);
+            return value === undefined || value === null ? defaultValue : value;
 
-                for (const monthKey of excessMonths) {
-                    await removeActivities(monthKey);
-                }
+        } catch (error) {
+            console.error('Error getting setting:', error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Call back whenever a setting is saved, in this or any other extension page or COROS tab
+     * @param {string} key - Setting name
+     * @param {Function} callback - Receives the new value
+     */
+    function onSettingChange(key, callback) {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) {
+            return;
+        }
+        const storageKey = STORAGE_CONFIG.settingsPrefix + key;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[storageKey]) {
+                callback(changes[storageKey].newValue);
             }
+        });
+    }
 
-            if (monthsToRemove.length > 0) {
-                console.log(`Cleaned up ${monthsToRemove.length} old cache entries`);
+    /**
+     * Keep the localStorage fallback under its quota by dropping the oldest months beyond maxEntries
+     */
+    async function cleanupOldEntries() {
+        try {
+            const cachedMonths = await getCachedMonths();
+            if (cachedMonths.length <= STORAGE_CONFIG.maxEntries) {
+                return;
             }
 
+            const excessMonths = cachedMonths.slice(0, cachedMonths.length - STORAGE_CONFIG.maxEntries);
+            for (const monthKey of excessMonths) {
+                await removeActivities(monthKey);
+            }
+
+            console.log(`Cleaned up ${excessMonths.length} old cache entries`);
+
         } catch (error) {
             console.error('Error during cleanup:', error);
         }
     }
 
+    // Sync cursor of a month's activities: the one that started last
+    function getNewestActivity(activities) {
+        return activities.reduce((newest, activity) => {
+            const startTime = new Date(activity.startTime || activity.date).getTime();
+            return !newest || startTime > newest.startTime ? { startTime: startTime, labelId: String(activity.id) } : newest;
+        }, null);
+    }
+
+    // 32-bit FNV-1a hash as hex, enough to tell whether stored activities changed
+    function hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    // First moment after a month (YYYY-MM), in ms
+    function getMonthEnd(monthKey) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return new Date(year, month, 1).getTime();
+    }
+
     /**
-     * Chrome storage wrapper functions
+     * Activity store (IndexedDB in the service worker) is reachable from extension pages and content scripts
      */
-    function chromeStorageSet(key, value) {
-        return new Promise((resolve, reject) => {
-            chrome.storage.local.set({ [key]: value }, () => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve();
-                }
-            });
-        });
+    function hasActivityStore() {
+        return !!self.CorosActivityStore ||
+            (typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.sendMessage === 'function');
     }
 
-    function chromeStorageGet(key) {
+    /**
+     * Call a CorosActivityStore method in the service worker (directly when running in it)
+     * @param {string} method - Method name
+     * @param {...*} args - JSON-serializable arguments
+     * @returns {Promise<*>} Method result
+     */
+    function storeRequest(method, ...args) {
+        if (self.CorosActivityStore) {
+            return self.CorosActivityStore[method](...args);
+        }
+
         return new Promise((resolve, reject) => {
-            chrome.storage.local.get([key], (result) => {
+            chrome.runtime.sendMessage({ action: 'activityStore', method: method, args: args }, (response) => {
                 if (chrome.runtime.lastError) {
                     reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response || !response.success) {
+                    reject(new Error(response ? response.error : 'No response from the activity store'));
                 } else {
-                    resolve(result[key]);
+                    resolve(response.result);
                 }
             });
         });
     }
 
-    function chromeStorageGetAll() {
+    /**
+     * Chrome storage wrapper functions
+     */
+    function chromeStorageSet(key, value) {
         return new Promise((resolve, reject) => {
-            chrome.storage.local.get(null, (result) => {
+            chrome.storage.local.set({ [key]: value }, () => {
                 if (chrome.runtime.lastError) {
                     reject(new Error(chrome.runtime.lastError.message));
                 } else {
-                    resolve(result);
+                    resolve();
                 }
             });
         });
     }
 
-    function chromeStorageRemove(key) {
+    function chromeStorageGet(key) {
         return new Promise((resolve, reject) => {
-            chrome.storage.local.remove([key], () => {
+            chrome.storage.local.get([key], (result) => {
                 if (chrome.runtime.lastError) {
                     reject(new Error(chrome.runtime.lastError.message));
                 } else {
-                    resolve();
+                    resolve(result[key]);
                 }
             });
         });
@@ -334,10 +538,18 @@ window.CorosStorage = (function () {
     return {
         saveActivities: saveActivities,
         getActivities: getActivities,
+        getSyncTime: getSyncTime,
+        getSyncCursor: getSyncCursor,
+        getDataVersion: getDataVersion,
+        queryActivities: queryActivities,
+        getActivityById: getActivityById,
         removeActivities: removeActivities,
         getCachedMonths: getCachedMonths,
         clearAllActivities: clearAllActivities,
-        getStorageStats: getStorageStats
+        getStorageStats: getStorageStats,
+        saveSetting: saveSetting,
+        getSetting: getSetting,
+        onSettingChange: onSettingChange
     };
 
 })();
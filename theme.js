@@ -0,0 +1,124 @@
+// Light/dark theme for COROS Activity Calendar extension
+// Sets data-coros-theme on extension elements; styles.css and the popup define the palettes as CSS custom properties
+
+window.CorosTheme = (function () {
+    'use strict';
+
+    // Elements outside the container that carry their own theme (tooltip and drawer live on <body>)
+    const THEMED_SELECTOR = '.coros-extension-container, .coros-activity-tooltip, .coros-day-drawer, .coros-drawer-backdrop';
+
+    // Host page attributes that may signal its theme (Arco Design uses arco-theme on <body>)
+    const HOST_THEME_ATTRIBUTES = ['arco-theme', 'data-theme', 'class'];
+
+    const darkQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    let isWatching = false;
+
+    /**
+     * Theme mode from the options page
+     * @returns {string} 'auto', 'light' or 'dark'
+     */
+    function getMode() {
+        return window.CorosPreferences ? window.CorosPreferences.get().theme : 'auto';
+    }
+
+    /**
+     * Resolve a mode to the theme to show
+     * @param {string} [mode] - 'auto', 'light' or 'dark' (defaults to the saved preference)
+     * @returns {string} 'light' or 'dark'
+     */
+    function resolve(mode = getMode()) {
+        if (mode === 'light' || mode === 'dark') {
+            return mode;
+        }
+        return detectHostTheme() || (darkQuery && darkQuery.matches ? 'dark' : 'light');
+    }
+
+    /**
+     * Theme an element (the extension container, a tooltip, a drawer or the popup's <html>)
+     * @param {HTMLElement} element - Element to theme
+     */
+    function apply(element) {
+        if (element) {
+            element.dataset.corosTheme = resolve();
+        }
+    }
+
+    /**
+     * Re-theme every extension element currently on the page
+     */
+    function applyAll() {
+        document.querySelectorAll(THEMED_SELECTOR).forEach(apply);
+    }
+
+    /**
+     * Keep 'auto' in step with the host page and the OS setting. Safe to call more than once.
+     */
+    function watch() {
+        if (isWatching) {
+            return;
+        }
+        isWatching = true;
+
+        const refresh = () => {
+            if (getMode() === 'auto') {
+                applyAll();
+            }
+        };
+
+        if (typeof MutationObserver !== 'undefined') {
+            const observer = new MutationObserver(refresh);
+            [document.documentElement, document.body].filter(Boolean).forEach(element => {
+                observer.observe(element, { attributes: true, attributeFilter: HOST_THEME_ATTRIBUTES });
+            });
+        }
+        if (darkQuery && darkQuery.addEventListener) {
+            darkQuery.addEventListener('change', refresh);
+        }
+    }
+
+    /**
+     * Theme of the host page: explicit dark/light markers first, then the page background
+     * @returns {string|null} 'light', 'dark' or null when it cannot tell
+     */
+    function detectHostTheme() {
+        const elements = [document.documentElement, document.body].filter(Boolean);
+
+        for (const element of elements) {
+            const marker = element.getAttribute('arco-theme') || element.getAttribute('data-theme') || '';
+            if (/dark|light/i.test(marker)) {
+                return /dark/i.test(marker) ? 'dark' : 'light';
+            }
+            if (element.classList.contains('dark') || element.classList.contains('theme-dark')) {
+                return 'dark';
+            }
+        }
+
+        for (const element of elements) {
+            const luminance = getBackgroundLuminance(element);
+            if (luminance !== null) {
+                return luminance < 0.5 ? 'dark' : 'light';
+            }
+        }
+
+        return null;
+    }
+
+    // Relative luminance (0-1) of an element's opaque background color, null when transparent or unknown
+    function getBackgroundLuminance(element) {
+        const match = /rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/.exec(window.getComputedStyle(element).backgroundColor || '');
+        if (!match || (match[4] !== undefined && parseFloat(match[4]) === 0)) {
+            return null;
+        }
+        const [r, g, b] = match.slice(1, 4).map(value => parseFloat(value) / 255);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    // Public API
+    return {
+        resolve: resolve,
+        apply: apply,
+        applyAll: applyAll,
+        watch: watch
+    };
+
+})();
@@ -9,15 +9,30 @@ INCLUDE_ITEMS=(
   "background.js"
   "content.js"
   "storage.js"
+  "activity-store.js"
+  "preferences.js"
+  "i18n.js"
+  "theme.js"
+  "sport-registry.js"
   "api.js"
+  "backfill.js"
+  "goals.js"
+  "records.js"
+  "sport-filter.js"
+  "sport-groups.js"
   "calendar.js"
   "statistics.js"
+  "training-load.js"
+  "export.js"
   "popup.html"
   "popup.js"
+  "options.html"
+  "options.js"
   "styles.css"
   "jquery.min.js"
   "LICENSE"
   "images/"
+  "_locales/"
 )
 
 # Remove old zip file if exists
@@ -0,0 +1,309 @@
+// Training load analytics for COROS Activity Calendar extension
+
+window.CorosTrainingLoad = (function () {
+    'use strict';
+
+    const { formatDateKey } = window.CorosUtils;
+    const { t } = window.CorosI18n;
+
+    const SETTINGS_KEY = 'trainingLoad';
+
+    // Load model configuration
+    const LOAD_CONFIG = {
+        acuteDays: 7,
+        chronicDays: 42,
+        // Days of history loaded before the displayed range so the chronic average can settle
+        warmupDays: 84,
+        highRatio: 1.5
+    };
+
+    const DEFAULT_SETTINGS = {
+        rampRateThreshold: 8 // Chronic load increase per week
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Get user settings for training load warnings
+     * @returns {Promise<Object>} { rampRateThreshold }
+     */
+    async function getSettings() {
+        const saved = window.CorosStorage
+            ? await window.CorosStorage.getSetting(SETTINGS_KEY, {})
+            : {};
+        return { ...DEFAULT_SETTINGS, ...saved };
+    }
+
+    /**
+     * Save user settings for training load warnings
+     * @param {Object} settings - Partial settings, e.g. { rampRateThreshold: 6 }
+     * @returns {Promise<boolean>} Success status
+     */
+    async function saveSettings(settings) {
+        const current = await getSettings();
+        return window.CorosStorage.saveSetting(SETTINGS_KEY, { ...current, ...settings });
+    }
+
+    /**
+     * Load activities for a range plus warm-up history from the months cached in CorosStorage
+     * @param {Date} startDate - First displayed day
+     * @param {Date} endDate - Last displayed day
+     * @returns {Promise<Object>} { activities, cachedMonths, missingMonths }
+     */
+    async function loadHistory(startDate, endDate) {
+        const historyStart = new Date(startDate.getTime() - LOAD_CONFIG.warmupDays * DAY_MS);
+        const cursor = new Date(historyStart.getFullYear(), historyStart.getMonth(), 1);
+        const activities = [];
+        let cachedMonths = 0;
+        let missingMonths = 0;
+
+        while (cursor <= endDate) {
+            const monthKey = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`;
+            const monthActivities = window.CorosStorage
+                ? await window.CorosStorage.getActivities(monthKey)
+                : null;
+
+            if (monthActivities) {
+                activities.push(...monthActivities);
+                cachedMonths++;
+            } else {
+                missingMonths++;
+            }
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        return { activities, cachedMonths, missingMonths };
+    }
+
+    /**
+     * Sum training load per local day
+     * @param {Array} activities - Activities with trainingLoad
+     * @returns {Object} Map of YYYY-MM-DD to total load
+     */
+    function calculateDailyLoad(activities) {
+        const daily = {};
+        const seen = new Set();
+
+        (activities || []).forEach(activity => {
+            // Cached months can overlap with freshly fetched ones
+            if (activity.id && seen.has(activity.id)) {
+                return;
+            }
+            seen.add(activity.id);
+
+            const load = parseFloat(activity.trainingLoad) || 0;
+            if (load <= 0) {
+                return;
+            }
+            const dateKey = formatDateKey(new Date(activity.startTime || activity.date));
+            daily[dateKey] = (daily[dateKey] || 0) + load;
+        });
+
+        return daily;
+    }
+
+    /**
+     * Calculate the acute/chronic load series (exponentially weighted moving averages)
+     * @param {Array} activities - Activities including warm-up history
+     * @param {Date} startDate - First day returned
+     * @param {Date} endDate - Last day returned
+     * @returns {Array} [{ date, load, acute, chronic, ratio, form, rampRate }]
+     */
+    function calculateLoadSeries(activities, startDate, endDate) {
+        const daily = calculateDailyLoad(activities);
+        const dataDays = Object.keys(daily).sort();
+        const rangeStart = startOfDay(startDate);
+        const rangeEnd = startOfDay(endDate);
+
+        // Start the averages at the first day with data (or the range start if later)
+        let cursor = dataDays.length > 0 ? parseDateKey(dataDays[0]) : new Date(rangeStart);
+        if (cursor > rangeStart) {
+            cursor = new Date(rangeStart);
+        }
+
+        const acuteAlpha = 1 - Math.exp(-1 / LOAD_CONFIG.acuteDays);
+        const chronicAlpha = 1 - Math.exp(-1 / LOAD_CONFIG.chronicDays);
+        const chronicHistory = [];
+        const series = [];
+        let acute = 0;
+        let chronic = 0;
+
+        while (cursor <= rangeEnd) {
+            const dateKey = formatDateKey(cursor);
+            const load = daily[dateKey] || 0;
+            acute += (load - acute) * acuteAlpha;
+            chronic += (load - chronic) * chronicAlpha;
+            chronicHistory.push(chronic);
+
+            if (cursor >= rangeStart) {
+                const weekAgo = chronicHistory[chronicHistory.length - 8];
+                series.push({
+                    date: dateKey,
+                    load: load,
+                    acute: acute,
+                    chronic: chronic,
+                    ratio: chronic > 0 ? acute / chronic : null,
+                    form: chronic - acute,
+                    rampRate: weekAgo !== undefined ? chronic - weekAgo : 0
+                });
+            }
+            cursor.setDate(cursor.getDate() + 1);
+        }
+
+        return series;
+    }
+
+    /**
+     * Warnings for a load series
+     * @param {Array} series - Result of calculateLoadSeries
+     * @param {Object} settings - { rampRateThreshold }
+     * @returns {Array} [{ icon, text }]
+     */
+    function calculateWarnings(series, settings) {
+        const warnings = [];
+        if (series.length === 0) {
+            return warnings;
+        }
+
+        const peakRamp = series.reduce((peak, day) => (day.rampRate > peak.rampRate ? day : peak), series[0]);
+        if (peakRamp.rampRate > settings.rampRateThreshold) {
+            warnings.push({
+                icon: '⚠️',
+                text: t('loadWarningRamp', [peakRamp.rampRate.toFixed(1), peakRamp.date, settings.rampRateThreshold])
+            });
+        }
+
+        const latest = series[series.length - 1];
+        if (latest.ratio !== null && latest.ratio > LOAD_CONFIG.highRatio) {
+            warnings.push({
+                icon: '🚨',
+                text: t('loadWarningRatio', [latest.ratio.toFixed(2), LOAD_CONFIG.highRatio])
+            });
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Generate the training load section for the statistics tab
+     * @param {Array} series - Result of calculateLoadSeries
+     * @param {Object} settings - { rampRateThreshold }
+     * @param {Object} history - { cachedMonths, missingMonths } from loadHistory
+     * @returns {string} HTML
+     */
+    function generateSection(series, settings, history) {
+        const latest = series[series.length - 1];
+        const hasLoad = series.some(day => day.load > 0 || day.chronic > 0.5);
+
+        const summaryHTML = latest ? `
+            <div class="coros-load-metrics">
+              ${metricHTML(t('loadAcute'), latest.acute.toFixed(0))}
+              ${metricHTML(t('loadChronic'), latest.chronic.toFixed(0))}
+              ${metricHTML(t('loadRatio'), latest.ratio !== null ? latest.ratio.toFixed(2) : '–')}
+              ${metricHTML(t('loadForm'), latest.form.toFixed(0))}
+              ${metricHTML(t('loadRamp'), `${latest.rampRate >= 0 ? '+' : ''}${latest.rampRate.toFixed(1)}`)}
+            </div>
+        ` : '';
+
+        const warningsHTML = calculateWarnings(series, settings).map(warning => `
+            <div class="coros-insight-item coros-load-warning">
+              <span class="coros-insight-icon">${warning.icon}</span>
+              <span class="coros-insight-text">${warning.text}</span>
+            </div>
+        `).join('');
+
+        const coverageHTML = history && history.missingMonths > 0 ? `
+            <p class="coros-load-note">${t('loadMissingMonths', history.missingMonths)}</p>
+        ` : '';
+
+        return `
+            <h3>${t('loadTitle')}</h3>
+            ${summaryHTML}
+            ${warningsHTML}
+            ${hasLoad ? generateChart(series) : `<div class="coros-empty-state"><p>${t('loadEmpty')}</p></div>`}
+            ${coverageHTML}
+            <label class="coros-load-setting">
+              ${t('loadRampSettingBefore')}
+              <input type="number" id="coros-ramp-threshold" min="1" step="0.5" value="${settings.rampRateThreshold}">
+              ${t('loadRampSettingAfter')}
+            </label>
+        `;
+    }
+
+    function metricHTML(label, value) {
+        return `
+              <div class="coros-load-metric">
+                <div class="coros-load-metric-value">${value}</div>
+                <div class="coros-load-metric-label">${label}</div>
+              </div>
+        `;
+    }
+
+    /**
+     * SVG chart: daily load bars with acute/chronic lines, and the form curve below
+     */
+    function generateChart(series) {
+        const width = 700;
+        const loadHeight = 160;
+        const formHeight = 70;
+        const step = width / series.length;
+        const maxLoad = Math.max(1, ...series.map(day => Math.max(day.load, day.acute, day.chronic)));
+        const maxForm = Math.max(1, ...series.map(day => Math.abs(day.form)));
+
+        const x = index => index * step + step / 2;
+        const yLoad = value => loadHeight - (value / maxLoad) * (loadHeight - 10);
+        const yForm = value => formHeight / 2 - (value / maxForm) * (formHeight / 2 - 4);
+        const line = (key, y) => series.map((day, index) => `${x(index).toFixed(1)},${y(day[key]).toFixed(1)}`).join(' ');
+
+        const bars = series.map((day, index) => day.load > 0 ? `
+            <rect class="coros-load-bar" x="${(index * step + step * 0.15).toFixed(1)}" y="${yLoad(day.load).toFixed(1)}"
+                  width="${(step * 0.7).toFixed(1)}" height="${(loadHeight - yLoad(day.load)).toFixed(1)}">
+              <title>${t('loadDayTitle', [day.date, Math.round(day.load)])}</title>
+            </rect>` : '').join('');
+
+        return `
+            <div class="coros-load-chart">
+              <svg viewBox="0 0 ${width} ${loadHeight}" preserveAspectRatio="none" role="img" aria-label="${t('loadChartLabel')}">
+                ${bars}
+                <polyline class="coros-load-line chronic" points="${line('chronic', yLoad)}"></polyline>
+                <polyline class="coros-load-line acute" points="${line('acute', yLoad)}"></polyline>
+              </svg>
+              <svg viewBox="0 0 ${width} ${formHeight}" preserveAspectRatio="none" role="img" aria-label="${t('loadFormChartLabel')}">
+                <line class="coros-load-zero" x1="0" x2="${width}" y1="${formHeight / 2}" y2="${formHeight / 2}"></line>
+                <polyline class="coros-load-line form" points="${line('form', yForm)}"></polyline>
+              </svg>
+              <div class="coros-load-legend">
+                <span class="coros-load-key daily">${t('loadLegendDaily')}</span>
+                <span class="coros-load-key acute">${t('loadLegendAcute')}</span>
+                <span class="coros-load-key chronic">${t('loadLegendChronic')}</span>
+                <span class="coros-load-key form">${t('loadForm')}</span>
+                <span class="coros-load-range">${series[0].date} – ${series[series.length - 1].date}</span>
+              </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Utility functions
+     */
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    function parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Public API
+    return {
+        getSettings: getSettings,
+        saveSettings: saveSettings,
+        loadHistory: loadHistory,
+        calculateDailyLoad: calculateDailyLoad,
+        calculateLoadSeries: calculateLoadSeries,
+        calculateWarnings: calculateWarnings,
+        generateSection: generateSection
+    };
+
+})();
@@ -0,0 +1,52 @@
+// Shared helpers for COROS Activity Calendar content scripts
+// Loaded first, so every module can take its helpers from here instead of keeping its own copy
+
+window.CorosUtils = (function () {
+    'use strict';
+
+    /**
+     * Escape text for use in HTML (or XML) markup and attribute values
+     * @param {*} text - Value to escape (converted to a string)
+     * @returns {string}
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in the local time zone
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse a COROS duration ("h:mm:ss", "mm:ss" or seconds) into seconds
+     * @param {string|number} timeStr - Duration as shown by COROS, or a number of seconds
+     * @returns {number}
+     */
+    function parseTimeToSeconds(timeStr) {
+        if (typeof timeStr === 'number') return timeStr;
+        if (!timeStr) return 0;
+        const parts = String(timeStr).split(':').map(Number).reverse();
+        let seconds = 0;
+        if (parts[0]) seconds += parts[0];
+        if (parts[1]) seconds += parts[1] * 60;
+        if (parts[2]) seconds += parts[2] * 3600;
+        return seconds;
+    }
+
+    // Public API
+    return {
+        escapeHTML: escapeHTML,
+        formatDateKey: formatDateKey,
+        parseTimeToSeconds: parseTimeToSeconds
+    };
+
+})();